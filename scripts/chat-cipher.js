@@ -0,0 +1,109 @@
+/**
+ * 저장된 채팅 암호화
+ * 암호에서 PBKDF2로 AES-GCM 키를 만들고, 값을 JSON으로 직렬화해 암호화한다.
+ * 키는 잠금이 풀린 동안 Worker 메모리에만 있고 저장소에는 salt와 확인용 값만 남는다.
+ */
+
+const PBKDF2_ITERATIONS = 310000;
+const PASSPHRASE_VERIFIER = 'kakaotalk-chat-viewer';
+
+class ChatCipher {
+    constructor(key) {
+        this.key = key;
+    }
+
+    /**
+     * 새 암호 설정
+     * @param {string} passphrase - 사용자 암호
+     * @param {Object} [options]
+     * @param {number} [options.iterations] - PBKDF2 반복 횟수
+     * @returns {Promise<{cipher: ChatCipher, settings: Object}>} settings는 그대로 저장한다
+     */
+    static async create(passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+        if (!passphrase) throw new Error('암호를 입력해주세요.');
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const cipher = new ChatCipher(await ChatCipher.deriveKey(passphrase, salt, iterations));
+        const verifier = await cipher.seal(PASSPHRASE_VERIFIER);
+        return { cipher, settings: { salt, iterations, verifier } };
+    }
+
+    /**
+     * 저장된 설정으로 잠금 해제
+     * @param {string} passphrase - 사용자 암호
+     * @param {Object} settings - create()가 돌려준 설정
+     * @returns {Promise<ChatCipher>} 암호가 틀리면 InvalidPassphraseError
+     */
+    static async unlock(passphrase, settings) {
+        const cipher = new ChatCipher(await ChatCipher.deriveKey(passphrase, settings.salt, settings.iterations));
+        let verifier = null;
+        try {
+            verifier = await cipher.open(settings.verifier);
+        } catch {
+            // AES-GCM 인증 실패 = 다른 키
+        }
+        if (verifier !== PASSPHRASE_VERIFIER) {
+            const error = new Error('암호가 맞지 않습니다.');
+            error.name = 'InvalidPassphraseError';
+            throw error;
+        }
+        return cipher;
+    }
+
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * 값 암호화
+     * @param {*} value - JSON으로 직렬화할 수 있는 값
+     * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+     */
+    seal(value) {
+        return this.sealBytes(new TextEncoder().encode(JSON.stringify(value)));
+    }
+
+    /**
+     * seal()로 만든 값 복호화
+     * @param {{iv: Uint8Array, data: ArrayBuffer}} sealed
+     * @returns {Promise<*>} 원래 값
+     */
+    async open(sealed) {
+        return JSON.parse(new TextDecoder().decode(await this.openBytes(sealed)));
+    }
+
+    /**
+     * 바이트 그대로 암호화 (압축한 청크처럼 JSON으로 바꾸지 않을 값)
+     * @param {Uint8Array} bytes
+     * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+     */
+    async sealBytes(bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, bytes);
+        return { iv, data };
+    }
+
+    /**
+     * sealBytes()로 만든 값 복호화
+     * @param {{iv: Uint8Array, data: ArrayBuffer}} sealed
+     * @returns {Promise<Uint8Array>}
+     */
+    async openBytes({ iv, data }) {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, this.key, data));
+    }
+}
+
+globalThis.ChatCipher = ChatCipher;
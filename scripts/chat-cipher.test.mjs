@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const sandbox = { crypto, TextEncoder, TextDecoder, Uint8Array, JSON };
+vm.runInNewContext(fs.readFileSync(new URL('chat-cipher.js', import.meta.url), 'utf8'), sandbox);
+const { ChatCipher } = sandbox;
+
+const { cipher, settings } = await ChatCipher.create('비밀 암호', { iterations: 1000 });
+assert.equal(settings.iterations, 1000);
+assert.equal('key' in settings, false, '키를 저장할 설정에 넣으면 안 된다.');
+
+const entries = [{ index: 0, sender: '철수', content: '계좌번호 123-456' }];
+const sealed = await cipher.seal(entries);
+const stored = new TextDecoder().decode(sealed.data);
+assert.equal(stored.includes('계좌번호'), false, '암호화된 값에 원문이 남으면 안 된다.');
+assert.deepEqual(await cipher.open(sealed), entries);
+
+const unlocked = await ChatCipher.unlock('비밀 암호', settings);
+assert.deepEqual(await unlocked.open(sealed), entries, '같은 암호로 만든 키는 이전 청크를 읽어야 한다.');
+
+const bytes = new TextEncoder().encode('압축한 청크');
+const sealedBytes = await cipher.sealBytes(bytes);
+assert.deepEqual([...await unlocked.openBytes(sealedBytes)], [...bytes], '바이트는 JSON으로 바꾸지 않고 그대로 돌려줘야 한다.');
+
+await assert.rejects(
+    ChatCipher.unlock('틀린 암호', settings),
+    error => error.name === 'InvalidPassphraseError'
+);
+await assert.rejects(ChatCipher.create(''), /암호를 입력/);
+
+console.log('chat cipher check passed');
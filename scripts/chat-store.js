@@ -1,26 +1,113 @@
+const RETRYABLE_REQUESTS = new Set(['range', 'searchRange']); // 새 Worker에 다시 보내도 되는 읽기
+const WORKER_PING_TIMEOUT = 5000;
+const MAX_WORKER_RESTARTS = 3; // 한 번도 응답하지 못하고 연달아 멈추면 포기한다
+
 class ChatStore {
     constructor(workerFactory = url => new Worker(url)) {
-        this.worker = workerFactory('scripts/parser.worker.js');
+        this.workerFactory = workerFactory;
+        this.worker = null;
+        this.restarts = 0;
+        this.checkingWorker = null; // 응답 확인 중인 ping
         this.nextRequestId = 1;
         this.pending = new Map();
         this.progressListener = null;
+        this.changeListener = null; // 다른 탭의 변경과 저장소 연결 상태 ({ kind, chatId })
+        this.importRequestId = null; // 취소할 수 있는 진행 중인 가져오기
         this.closed = false;
+        this.chatId = null; // 범위 조회와 검색에 쓰는 현재 채팅방
+
+        this.spawnWorker();
+    }
 
-        this.worker.addEventListener('message', event => this.handleMessage(event.data));
-        this.worker.addEventListener('error', event => {
-            this.rejectAll(new Error(event.message || '채팅 저장소를 실행할 수 없습니다.'));
+    spawnWorker() {
+        const worker = this.workerFactory('scripts/parser.worker.js');
+        // 다시 띄우기 전 Worker가 늦게 보낸 메시지는 버린다
+        worker.addEventListener('message', event => {
+            if (worker === this.worker) this.handleMessage(event.data);
         });
+        worker.addEventListener('error', event => {
+            if (worker !== this.worker) return;
+            console.error('채팅 저장소 Worker 오류:', event.message);
+            this.restartWorker(new Error('채팅 저장소가 멈춰서 다시 시작했습니다.'));
+        });
+        this.worker = worker;
+    }
+
+    /**
+     * 멈춘 Worker를 새로 띄우기
+     * range, searchRange는 같은 id로 새 Worker에 다시 보내고, 나머지 요청은 error로 끝낸다.
+     * 가져오던 중이었으면 되돌리지 못한 청크는 새 Worker가 처음 쓰기 잠금을 쥘 때 치운다.
+     * 현재 채팅방을 다시 연 뒤 changeListener에 { kind: 'restarted', chatId, chat }을 알린다
+     * (다시 열지 못하면 chat 대신 errorName). 연달아 MAX_WORKER_RESTARTS번을 넘기면 { kind: 'stopped' }.
+     * @param {Error} error - 다시 보내지 않는 요청을 끝낼 오류
+     */
+    restartWorker(error) {
+        if (this.closed) return;
+        this.worker.terminate();
+        if (++this.restarts > MAX_WORKER_RESTARTS) {
+            this.closed = true;
+            this.rejectAll(new Error('채팅 저장소를 실행할 수 없습니다.'));
+            this.changeListener?.({ kind: 'stopped' });
+            return;
+        }
+
+        this.spawnWorker();
+        for (const [id, request] of this.pending) {
+            if (RETRYABLE_REQUESTS.has(request.type)) {
+                this.worker.postMessage({ id, type: request.type, ...request.payload });
+            } else {
+                this.settle(id).reject(error);
+            }
+        }
+        // 잠금 해제 상태는 Worker 메모리에만 있어서, 암호를 쓰면 여기서 LockedError가 난다
+        const chatId = this.chatId;
+        if (!chatId) {
+            this.changeListener?.({ kind: 'restarted', chatId });
+            return;
+        }
+        // 그 사이에 또 멈췄으면 다음 restartWorker가 알린다
+        const worker = this.worker;
+        const notify = change => {
+            if (!this.closed && worker === this.worker) this.changeListener?.({ kind: 'restarted', chatId, ...change });
+        };
+        this.request('openChat', { chatId }).then(
+            chat => notify({ chat }),
+            reopenError => notify({ errorName: reopenError.name })
+        );
+    }
+
+    /**
+     * 요청이 시간 안에 끝나지 않았을 때 Worker가 살아 있는지 확인 (ping에도 답이 없으면 다시 띄운다)
+     */
+    checkWorker() {
+        if (this.checkingWorker || this.closed) return;
+        const worker = this.worker;
+        this.checkingWorker = this.request('ping', {}, { timeout: WORKER_PING_TIMEOUT })
+            .catch(error => {
+                if (error.name === 'TimeoutError' && worker === this.worker) {
+                    this.restartWorker(new Error('채팅 저장소가 응답하지 않아 다시 시작했습니다.'));
+                }
+            })
+            .finally(() => {
+                this.checkingWorker = null;
+            });
     }
 
     handleMessage(message) {
+        this.restarts = 0;
         if (message.type === 'progress') {
-            this.progressListener?.({ loaded: message.loaded, total: message.total });
+            const { type, ...progress } = message;
+            this.progressListener?.(progress);
+            return;
+        }
+        if (message.type === 'change') {
+            const { type, ...change } = message;
+            this.changeListener?.(change);
             return;
         }
 
-        const request = this.pending.get(message.id);
+        const request = this.settle(message.id);
         if (!request) return;
-        this.pending.delete(message.id);
 
         if (message.error) {
             const error = new Error(message.error);
@@ -31,44 +118,207 @@ class ChatStore {
         }
     }
 
-    request(type, payload = {}) {
-        if (this.closed) return Promise.reject(new Error('채팅 저장소가 종료되었습니다.'));
+    /**
+     * Worker 요청
+     * @param {string} type - 요청 종류
+     * @param {Object} [payload] - 요청과 함께 보낼 값
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - 이 시간(ms) 안에 답이 없으면 TimeoutError로 끝내고 Worker를 확인한다
+     * @param {AbortSignal} [options.signal] - 중단하면 답을 기다리지 않고 signal.reason으로 끝낸다
+     */
+    request(type, payload = {}, options = {}) {
+        return this.send(type, payload, options).promise;
+    }
+
+    /**
+     * request()와 같지만 Worker에 보낸 요청 id도 함께 돌려준다 (보내지 못했으면 id는 null)
+     * @returns {{id: number|null, promise: Promise}}
+     */
+    send(type, payload = {}, { timeout, signal } = {}) {
+        if (this.closed) return { id: null, promise: Promise.reject(new Error('채팅 저장소가 종료되었습니다.')) };
+        if (signal?.aborted) return { id: null, promise: Promise.reject(signal.reason) };
 
         const id = this.nextRequestId++;
         const promise = new Promise((resolve, reject) => {
-            this.pending.set(id, { resolve, reject, type });
+            const request = { resolve, reject, type, payload, signal, timer: null, onAbort: null };
+            if (timeout) {
+                request.timer = setTimeout(() => {
+                    this.settle(id)?.reject(new DOMException('채팅 저장소가 응답하지 않습니다.', 'TimeoutError'));
+                    this.checkWorker();
+                }, timeout);
+            }
+            if (signal) {
+                request.onAbort = () => this.settle(id)?.reject(signal.reason);
+                signal.addEventListener('abort', request.onAbort, { once: true });
+            }
+            this.pending.set(id, request);
         });
         this.worker.postMessage({ id, type, ...payload });
-        return promise;
+        return { id, promise };
+    }
+
+    /**
+     * 기다리던 요청을 목록에서 빼고 타이머와 abort 리스너 정리
+     * @returns {Object|undefined} 이미 끝난 요청이면 undefined
+     */
+    settle(id) {
+        const request = this.pending.get(id);
+        if (!request) return undefined;
+        this.pending.delete(id);
+        clearTimeout(request.timer);
+        request.signal?.removeEventListener('abort', request.onAbort);
+        return request;
+    }
+
+    importFile(file, onProgress, options) {
+        return this.importFiles([file], onProgress, options);
+    }
+
+    importFiles(files, onProgress, { encoding, chatId, resume = false } = {}) {
+        return this.startImport('import', { files, encoding, chatId, resume }, onProgress);
+    }
+
+    /**
+     * 같은 파일을 불러오다 멈춘 기록 (이름, 크기, 수정 시각으로 찾는다)
+     * 이어서 불러오려면 importFiles에 { chatId, resume: true }를, 버리려면 deleteChat(chatId)를 쓴다.
+     * @returns {Promise<{chatId: string, offset: number, size: number, savedAt: number}|null>}
+     */
+    async findCheckpoint(file) {
+        return (await this.request('findCheckpoint', { file })) ?? null;
+    }
+
+    appendFile(file, onProgress, { encoding } = {}) {
+        return this.startImport('append', { file, encoding, chatId: this.chatId }, onProgress);
+    }
+
+    /**
+     * 가져오기 요청 (진행 상황은 onProgress로, 취소하면 AbortError로 끝난다)
+     * @param {Function} onProgress - { loaded, total, messages, bytesPerSecond, remainingSeconds }를 받는다
+     */
+    startImport(type, payload, onProgress) {
+        this.progressListener = onProgress;
+        const { id, promise } = this.send(type, payload);
+        this.importRequestId = id;
+        return promise.then(chat => this.useChat(chat)).finally(() => {
+            this.progressListener = null;
+            this.importRequestId = null;
+        });
+    }
+
+    /**
+     * 진행 중인 가져오기 취소 (Worker가 이미 저장한 청크를 되돌린 뒤 가져오기가 AbortError로 끝난다)
+     * @returns {Promise<boolean>} 취소할 가져오기가 있었는지
+     */
+    cancelImport() {
+        if (this.importRequestId === null) return Promise.resolve(false);
+        return this.request('cancelImport', { importId: this.importRequestId });
+    }
+
+    listChats() {
+        return this.request('listChats');
+    }
+
+    openChat(chatId) {
+        return this.request('openChat', { chatId }).then(chat => this.useChat(chat));
+    }
+
+    async lastChat() {
+        const chat = await this.request('lastChat');
+        return chat ? this.useChat(chat) : null;
+    }
+
+    saveView(view) {
+        return this.request('saveView', { chatId: this.chatId, view });
+    }
+
+    renameChat(chatId, title) {
+        return this.request('renameChat', { chatId, title });
+    }
+
+    async deleteChat(chatId) {
+        await this.request('deleteChat', { chatId });
+        if (this.chatId === chatId) this.chatId = null;
+    }
+
+    storageUsage() {
+        return this.request('storageUsage');
+    }
+
+    clearSearchCache() {
+        return this.request('clearSearchCache');
+    }
+
+    /**
+     * 보관함 전체를 백업 파일 하나로 내보내기
+     * @param {Object} [preferences] - 함께 담을 화면 설정
+     * @returns {Promise<Blob>} gzip으로 압축한 JSON Lines
+     */
+    exportBackup(preferences) {
+        return this.request('exportBackup', { preferences });
     }
 
-    importFile(file, onProgress) {
+    /**
+     * 백업 파일의 채팅방을 보관함에 되살리기 (파일을 다시 파싱하지 않는다)
+     * @param {File} file - exportBackup()으로 만든 파일
+     * @param {Function} onProgress - 진행률 콜백 ({ loaded, total, messages })
+     * @returns {Promise<{chats: number, preferences: Object}>}
+     */
+    restoreBackup(file, onProgress) {
         this.progressListener = onProgress;
-        return this.request('import', { file }).finally(() => {
+        return this.request('restoreBackup', { file }).finally(() => {
             this.progressListener = null;
         });
     }
 
-    getRange(start, count) {
-        return this.request('range', { start, count });
+    encryptionStatus() {
+        return this.request('encryptionStatus');
+    }
+
+    enableEncryption(passphrase) {
+        return this.request('enableEncryption', { passphrase });
+    }
+
+    unlock(passphrase) {
+        return this.request('unlock', { passphrase });
+    }
+
+    lock() {
+        return this.request('lock');
+    }
+
+    async forgetEverything() {
+        const status = await this.request('forgetEverything');
+        this.chatId = null;
+        return status;
+    }
+
+    useChat(chat) {
+        this.chatId = chat.id;
+        return chat;
+    }
+
+    /**
+     * 현재 채팅방의 항목 범위 (Worker가 다시 시작되면 새 Worker에 다시 요청한다)
+     * @param {Object} [options] - request()의 { timeout, signal }
+     */
+    getRange(start, count, options) {
+        return this.request('range', { chatId: this.chatId, start, count }, options);
     }
 
     search(query) {
         for (const [id, request] of this.pending) {
             if (request.type !== 'search') continue;
-            this.pending.delete(id);
-            request.reject(new DOMException('새 검색이 시작되었습니다.', 'AbortError'));
+            this.settle(id).reject(new DOMException('새 검색이 시작되었습니다.', 'AbortError'));
         }
-        return this.request('search', { query });
+        return this.request('search', { chatId: this.chatId, query });
     }
 
-    getSearchRange(start, count) {
-        return this.request('searchRange', { start, count });
+    getSearchRange(start, count, options) {
+        return this.request('searchRange', { start, count }, options);
     }
 
     rejectAll(error) {
-        for (const request of this.pending.values()) request.reject(error);
-        this.pending.clear();
+        for (const id of this.pending.keys()) this.settle(id).reject(error);
     }
 
     close() {
@@ -26,7 +26,7 @@ class FakeWorker {
     }
 }
 
-const sandbox = { DOMException, Error };
+const sandbox = { DOMException, Error, clearTimeout, console: { error: () => {} }, setTimeout };
 vm.runInNewContext(fs.readFileSync(new URL('chat-store.js', import.meta.url), 'utf8'), sandbox);
 
 const worker = new FakeWorker();
@@ -34,15 +34,106 @@ const store = new sandbox.ChatStore(() => worker);
 const progressEvents = [];
 const importPromise = store.importFile({ name: 'chat.txt' }, progress => progressEvents.push(progress));
 assert.equal(worker.messages[0].type, 'import');
+assert.equal(worker.messages[0].files.length, 1, '파일 하나도 목록으로 보내야 한다.');
+assert.equal(worker.messages[0].encoding, undefined, '인코딩을 지정하지 않으면 Worker가 감지해야 한다.');
 worker.emit({ type: 'progress', loaded: 50, total: 100 });
-worker.emit({ id: worker.messages[0].id, result: { totalEntries: 2 } });
+worker.emit({ id: worker.messages[0].id, result: { id: 'chat-1', totalEntries: 2 } });
 assert.equal((await importPromise).totalEntries, 2);
+assert.equal(store.chatId, 'chat-1', '가져온 채팅방을 현재 채팅방으로 써야 한다.');
 assert.equal(progressEvents.length, 1);
 assert.equal(progressEvents[0].loaded, 50);
 assert.equal(progressEvents[0].total, 100);
 
+const overridePromise = store.importFile({ name: 'chat.txt' }, () => {}, { encoding: 'euc-kr', chatId: 'chat-1' });
+const overrideRequest = worker.messages.at(-1);
+assert.equal(overrideRequest.encoding, 'euc-kr');
+assert.equal(overrideRequest.chatId, 'chat-1', '다시 불러오기는 같은 채팅방을 덮어써야 한다.');
+worker.emit({ id: overrideRequest.id, result: { id: 'chat-1', encoding: 'euc-kr', encodingDetected: false } });
+assert.equal((await overridePromise).encoding, 'euc-kr');
+
+const mergePromise = store.importFiles([{ name: 'old.txt' }, { name: 'new.txt' }], () => {});
+const mergeRequest = worker.messages.at(-1);
+assert.deepEqual(mergeRequest.files.map(file => file.name), ['old.txt', 'new.txt']);
+worker.emit({ id: mergeRequest.id, result: { id: 'chat-2', files: [{ name: 'old.txt', messages: 3 }, { name: 'new.txt', messages: 2 }] } });
+assert.equal((await mergePromise).files.length, 2);
+
+const appendPromise = store.appendFile({ name: 'newer.txt' }, () => {});
+const appendRequest = worker.messages.at(-1);
+assert.equal(appendRequest.type, 'append');
+assert.equal(appendRequest.chatId, 'chat-2');
+worker.emit({ id: appendRequest.id, result: { id: 'chat-2', totalEntries: 5 } });
+assert.equal((await appendPromise).totalEntries, 5);
+
+const checkpointPromise = store.findCheckpoint({ name: 'huge.txt', size: 100, lastModified: 1 });
+assert.equal(worker.messages.at(-1).file.name, 'huge.txt');
+worker.emit({ id: worker.messages.at(-1).id, result: undefined });
+assert.equal(await checkpointPromise, null, '멈춘 기록이 없으면 null이어야 한다.');
+const resumePromise = store.importFile({ name: 'huge.txt' }, () => {}, { chatId: 'chat-3', resume: true });
+assert.equal(worker.messages.at(-1).resume, true);
+assert.equal(worker.messages.at(-1).chatId, 'chat-3', '멈춘 채팅방에 이어서 불러와야 한다.');
+worker.emit({ id: worker.messages.at(-1).id, result: { id: 'chat-3', totalEntries: 9 } });
+assert.equal((await resumePromise).totalEntries, 9);
+store.useChat({ id: 'chat-2' });
+
+const changes = [];
+store.changeListener = change => changes.push(change);
+worker.emit({ type: 'change', kind: 'deleted', chatId: 'chat-9' });
+assert.deepEqual(JSON.parse(JSON.stringify(changes)), [{ kind: 'deleted', chatId: 'chat-9' }], '다른 탭의 변경을 알려야 한다.');
+
+const usagePromise = store.storageUsage();
+assert.equal(worker.messages.at(-1).type, 'storageUsage');
+worker.emit({ id: worker.messages.at(-1).id, result: { chats: [{ id: 'chat-2', bytes: 2048 }], searchCacheBytes: 100 } });
+assert.equal((await usagePromise).chats[0].bytes, 2048);
+const clearCachePromise = store.clearSearchCache();
+assert.equal(worker.messages.at(-1).type, 'clearSearchCache');
+worker.emit({ id: worker.messages.at(-1).id, result: true });
+assert.equal(await clearCachePromise, true);
+
+const restoreProgress = [];
+const restorePromise = store.restoreBackup({ name: 'backup.jsonl.gz' }, progress => restoreProgress.push(progress));
+const restoreRequest = worker.messages.at(-1);
+assert.equal(restoreRequest.type, 'restoreBackup');
+worker.emit({ type: 'progress', loaded: 10, total: 40, messages: 5000 });
+worker.emit({ id: restoreRequest.id, result: { chats: 2, preferences: { fontSize: 18 } } });
+assert.equal((await restorePromise).preferences.fontSize, 18);
+assert.equal(restoreProgress.length, 1, '복원 진행 상황을 알려야 한다.');
+assert.equal(store.progressListener, null, '복원이 끝나면 진행 콜백을 떼야 한다.');
+
+const cancelProgress = [];
+const cancelledPromise = store.importFile({ name: 'huge.txt' }, progress => cancelProgress.push(progress));
+const cancelledRequest = worker.messages.at(-1);
+worker.emit({ type: 'progress', loaded: 10, total: 100, messages: 120, bytesPerSecond: 5, remainingSeconds: 18 });
+assert.equal(cancelProgress[0].messages, 120, '진행 상황의 메시지 수와 남은 시간을 그대로 넘겨야 한다.');
+assert.equal(cancelProgress[0].remainingSeconds, 18);
+const cancelPromise = store.cancelImport();
+assert.equal(worker.messages.at(-1).type, 'cancelImport');
+assert.equal(worker.messages.at(-1).importId, cancelledRequest.id, '진행 중인 가져오기 요청을 취소해야 한다.');
+worker.emit({ id: worker.messages.at(-1).id, result: true });
+assert.equal(await cancelPromise, true);
+worker.emit({ id: cancelledRequest.id, error: '가져오기를 취소했습니다.', errorName: 'AbortError' });
+await assert.rejects(cancelledPromise, error => error.name === 'AbortError');
+assert.equal(store.chatId, 'chat-2', '취소한 가져오기는 현재 채팅방을 바꾸지 않는다.');
+assert.equal(await store.cancelImport(), false, '진행 중인 가져오기가 없으면 요청하지 않는다.');
+
+const listPromise = store.listChats();
+worker.emit({ id: worker.messages.at(-1).id, result: [{ id: 'chat-2' }, { id: 'chat-1' }] });
+assert.equal((await listPromise).length, 2);
+
+const openPromise = store.openChat('chat-1');
+assert.equal(worker.messages.at(-1).chatId, 'chat-1');
+worker.emit({ id: worker.messages.at(-1).id, result: { id: 'chat-1', title: '첫 방' } });
+assert.equal((await openPromise).title, '첫 방');
+assert.equal(store.chatId, 'chat-1');
+
+const renamePromise = store.renameChat('chat-2', '새 이름');
+assert.equal(worker.messages.at(-1).title, '새 이름');
+worker.emit({ id: worker.messages.at(-1).id, result: { id: 'chat-2', title: '새 이름' } });
+await renamePromise;
+assert.equal(store.chatId, 'chat-1', '이름 바꾸기는 현재 채팅방을 바꾸지 않는다.');
+
 const rangePromise = store.getRange(100, 400);
 const rangeRequest = worker.messages.at(-1);
+assert.equal(rangeRequest.chatId, 'chat-1');
 assert.equal(rangeRequest.start, 100);
 assert.equal(rangeRequest.count, 400);
 worker.emit({ id: rangeRequest.id, result: [{ index: 100 }] });
@@ -64,6 +155,83 @@ assert.equal(searchRangeRequest.count, 200);
 worker.emit({ id: searchRangeRequest.id, result: [{ index: 7 }] });
 assert.equal((await searchRangePromise)[0].index, 7);
 
+const lastPromise = store.lastChat();
+assert.equal(worker.messages.at(-1).type, 'lastChat');
+worker.emit({ id: worker.messages.at(-1).id, result: { id: 'chat-1', view: { currentUser: '영희', scrollIndex: 40 } } });
+assert.equal((await lastPromise).view.scrollIndex, 40);
+assert.equal(store.chatId, 'chat-1', '마지막 채팅방을 현재 채팅방으로 써야 한다.');
+
+const emptyLastPromise = store.lastChat();
+worker.emit({ id: worker.messages.at(-1).id });
+assert.equal(await emptyLastPromise, null);
+
+const viewPromise = store.saveView({ scrollIndex: 12 });
+assert.equal(worker.messages.at(-1).chatId, 'chat-1');
+assert.equal(worker.messages.at(-1).view.scrollIndex, 12);
+worker.emit({ id: worker.messages.at(-1).id });
+await viewPromise;
+const deletePromise = store.deleteChat('chat-1');
+worker.emit({ id: worker.messages.at(-1).id });
+await deletePromise;
+assert.equal(store.chatId, null, '현재 채팅방을 지우면 선택도 풀어야 한다.');
+
+const unlockPromise = store.unlock('암호');
+assert.equal(worker.messages.at(-1).type, 'unlock');
+assert.equal(worker.messages.at(-1).passphrase, '암호');
+worker.emit({ id: worker.messages.at(-1).id, error: '암호가 맞지 않습니다.', errorName: 'InvalidPassphraseError' });
+await assert.rejects(unlockPromise, error => error.name === 'InvalidPassphraseError');
+
+const forgetPromise = store.forgetEverything();
+worker.emit({ id: worker.messages.at(-1).id, result: { enabled: false, locked: false } });
+assert.equal((await forgetPromise).enabled, false);
+
 store.close();
 assert.equal(worker.terminated, true);
+
+const workers = [];
+const restartingStore = new sandbox.ChatStore(() => workers[workers.push(new FakeWorker()) - 1]);
+const restartChanges = [];
+restartingStore.changeListener = change => restartChanges.push(change);
+restartingStore.useChat({ id: 'chat-1' });
+const retriedRange = restartingStore.getRange(0, 10);
+const lostList = restartingStore.listChats();
+workers[0].listeners.get('error')({ message: 'Uncaught TypeError' });
+assert.equal(workers[0].terminated, true, '멈춘 Worker는 정리해야 한다.');
+assert.equal(workers.length, 2, 'Worker를 새로 띄워야 한다.');
+await assert.rejects(lostList, /다시 시작/, '다시 보낼 수 없는 요청은 실패로 끝나야 한다.');
+const [retriedRequest, reopenRequest] = workers[1].messages;
+assert.equal(retriedRequest.type, 'range', '범위 조회는 새 Worker에 다시 보내야 한다.');
+assert.equal(retriedRequest.id, workers[0].messages[0].id);
+assert.equal(reopenRequest.type, 'openChat');
+assert.equal(reopenRequest.chatId, 'chat-1', '현재 채팅방을 다시 열어야 한다.');
+workers[0].emit({ id: retriedRequest.id, result: [{ index: 99 }] });
+workers[1].emit({ id: retriedRequest.id, result: [{ index: 0 }] });
+assert.equal((await retriedRange)[0].index, 0, '멈춘 Worker가 늦게 보낸 답은 버려야 한다.');
+workers[1].emit({ id: reopenRequest.id, result: { id: 'chat-1' } });
+await Promise.resolve();
+assert.equal(restartChanges[0].kind, 'restarted');
+assert.equal(restartChanges[0].chat.id, 'chat-1');
+
+const slowRange = restartingStore.getSearchRange(0, 10, { timeout: 1 });
+await assert.rejects(slowRange, error => error.name === 'TimeoutError');
+const pingRequest = workers[1].messages.at(-1);
+assert.equal(pingRequest.type, 'ping', '응답이 늦으면 Worker가 살아 있는지 확인해야 한다.');
+workers[1].emit({ id: pingRequest.id, result: true });
+assert.equal(workers.length, 2, 'ping에 답하면 다시 띄우지 않는다.');
+
+const controller = new AbortController();
+const abortedRange = restartingStore.getRange(0, 10, { signal: controller.signal });
+controller.abort();
+await assert.rejects(abortedRange, error => error.name === 'AbortError');
+assert.equal(restartingStore.pending.size, 0, '중단한 요청은 기다리지 않는다.');
+await assert.rejects(restartingStore.getRange(0, 10, { signal: controller.signal }), error => error.name === 'AbortError');
+
+for (let count = 0; count < 4; count++) workers.at(-1).listeners.get('error')({});
+assert.equal(workers.length, 5, '연달아 멈추면 세 번까지만 다시 띄운다.');
+await Promise.resolve();
+assert.equal(restartChanges.at(-1).kind, 'stopped');
+await assert.rejects(restartingStore.listChats(), /종료/);
+const unsentImport = restartingStore.importFile({ name: 'late.txt' }, () => {});
+assert.equal(restartingStore.importRequestId, null, '보내지 못한 가져오기에는 취소할 요청 id가 없다.');
+await assert.rejects(unsentImport, /종료/);
 console.log('chat store client check passed');
@@ -0,0 +1,300 @@
+/**
+ * 테스트용 메모리 IndexedDB
+ * parser.worker.js가 쓰는 만큼만 흉내 낸다: 버전 올리기, 트랜잭션 자동 커밋과 abort, 배열 키와 범위, 커서.
+ * 요청은 매크로태스크마다 하나씩 처리하고, 성공 콜백의 마이크로태스크까지 새 요청이 없으면 커밋한다.
+ */
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// 키 순서: 숫자 < 문자열 < 배열 (배열은 앞에서부터 비교)
+function compareKeys(a, b) {
+    const rank = key => (Array.isArray(key) ? 3 : typeof key === 'string' ? 2 : 1);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (!Array.isArray(a)) return a < b ? -1 : a > b ? 1 : 0;
+    for (let index = 0; index < Math.min(a.length, b.length); index++) {
+        const order = compareKeys(a[index], b[index]);
+        if (order !== 0) return order;
+    }
+    return a.length - b.length;
+}
+
+class FakeKeyRange {
+    constructor(lower, upper) {
+        this.lower = lower;
+        this.upper = upper;
+    }
+
+    static bound(lower, upper) {
+        return new FakeKeyRange(lower, upper);
+    }
+
+    static only(key) {
+        return new FakeKeyRange(key, key);
+    }
+
+    includes(key) {
+        return compareKeys(this.lower, key) <= 0 && compareKeys(key, this.upper) <= 0;
+    }
+}
+
+const matches = (query, key) => (
+    query == null || (query instanceof FakeKeyRange ? query.includes(key) : compareKeys(query, key) === 0)
+);
+
+class FakeEventTarget {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    dispatch(type, event = {}) {
+        for (const listener of this.listeners.get(type) ?? []) listener({ type, target: this, ...event });
+    }
+}
+
+class FakeRequest extends FakeEventTarget {
+    constructor() {
+        super();
+        this.result = undefined;
+        this.error = null;
+    }
+}
+
+class FakeObjectStore {
+    constructor(transaction, name) {
+        this.transaction = transaction;
+        this.storeName = name;
+    }
+
+    get name() {
+        return this.storeName;
+    }
+
+    // 버전을 올리는 동안에는 저장소 이름을 바꿀 수 있다
+    set name(name) {
+        const { tables } = this.transaction.database;
+        tables.set(name, tables.get(this.storeName));
+        tables.delete(this.storeName);
+        this.transaction.names.push(name);
+        this.storeName = name;
+    }
+
+    get table() {
+        return this.transaction.database.tables.get(this.storeName);
+    }
+
+    keyOf(value) {
+        const { keyPath } = this.table;
+        return Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath];
+    }
+
+    entries(query) {
+        return [...this.table.records.values()].filter(([key]) => matches(query, key))
+            .sort(([a], [b]) => compareKeys(a, b));
+    }
+
+    request(operation) {
+        return this.transaction.queue(operation);
+    }
+
+    get(query) {
+        return this.request(() => structuredClone(this.entries(query)[0]?.[1]));
+    }
+
+    getAll(query) {
+        return this.request(() => this.entries(query).map(([, value]) => structuredClone(value)));
+    }
+
+    getAllKeys(query) {
+        return this.request(() => this.entries(query).map(([key]) => key));
+    }
+
+    count(query) {
+        return this.request(() => this.entries(query).length);
+    }
+
+    put(value) {
+        return this.request(() => {
+            const key = this.keyOf(value);
+            this.table.records.set(JSON.stringify(key), [key, structuredClone(value)]);
+            return key;
+        });
+    }
+
+    add(value) {
+        return this.request(() => {
+            const key = this.keyOf(value);
+            if (this.table.records.has(JSON.stringify(key))) {
+                throw new DOMException('같은 키가 이미 있습니다.', 'ConstraintError');
+            }
+            this.table.records.set(JSON.stringify(key), [key, structuredClone(value)]);
+            return key;
+        });
+    }
+
+    delete(query) {
+        return this.request(() => {
+            for (const [key] of this.entries(query)) this.table.records.delete(JSON.stringify(key));
+        });
+    }
+
+    clear() {
+        return this.request(() => this.table.records.clear());
+    }
+
+    openCursor(query) {
+        let last;
+        const request = this.request(() => advance());
+        const advance = () => {
+            const next = this.entries(query).find(([key]) => last === undefined || compareKeys(key, last) > 0);
+            if (!next) return null;
+            last = next[0];
+            return {
+                key: next[0],
+                value: structuredClone(next[1]),
+                continue: () => this.transaction.queue(advance, request),
+                delete: () => this.request(() => this.table.records.delete(JSON.stringify(next[0])))
+            };
+        };
+        return request;
+    }
+}
+
+class FakeTransaction extends FakeEventTarget {
+    constructor(database, names, mode) {
+        super();
+        this.database = database;
+        this.names = names;
+        this.mode = mode;
+        this.error = null;
+        this.pending = [];
+        this.finished = false;
+        // abort하면 되돌릴 수 있게 시작할 때의 내용을 남긴다
+        this.snapshot = new Map(names.map(name => [name, new Map(database.tables.get(name)?.records)]));
+        this.scheduled = false;
+        this.schedule();
+    }
+
+    objectStore(name) {
+        if (!this.names.includes(name) || !this.database.tables.has(name)) {
+            throw new DOMException(`${name} 저장소가 없습니다.`, 'NotFoundError');
+        }
+        return new FakeObjectStore(this, name);
+    }
+
+    queue(operation, request = new FakeRequest()) {
+        if (this.finished) throw new DOMException('트랜잭션이 끝났습니다.', 'TransactionInactiveError');
+        this.pending.push({ operation, request });
+        this.schedule();
+        return request;
+    }
+
+    schedule() {
+        if (this.scheduled) return;
+        this.scheduled = true;
+        setTimeout(() => this.step(), 0);
+    }
+
+    async step() {
+        this.scheduled = false;
+        if (this.finished) return;
+        const next = this.pending.shift();
+        if (!next) {
+            this.finished = true;
+            this.dispatch('complete');
+            return;
+        }
+        try {
+            next.request.result = next.operation();
+        } catch (error) {
+            next.request.error = error;
+            next.request.dispatch('error');
+            this.abort(error);
+            return;
+        }
+        next.request.dispatch('success');
+        await tick(); // 성공 콜백이 이어서 낸 요청을 기다린다
+        this.schedule();
+    }
+
+    abort(error = new DOMException('트랜잭션을 취소했습니다.', 'AbortError')) {
+        if (this.finished) return;
+        this.finished = true;
+        this.error = error;
+        for (const [name, records] of this.snapshot) {
+            if (this.database.tables.has(name)) this.database.tables.get(name).records = records;
+        }
+        setTimeout(() => this.dispatch('abort'), 0);
+    }
+}
+
+class FakeDatabase extends FakeEventTarget {
+    constructor(stored) {
+        super();
+        this.stored = stored;
+        this.tables = stored.tables;
+        this.objectStoreNames = { contains: name => this.tables.has(name) };
+    }
+
+    createObjectStore(name, { keyPath }) {
+        this.tables.set(name, { keyPath, records: new Map() });
+        this.versionTransaction?.names.push(name);
+        return new FakeObjectStore(this.versionTransaction, name);
+    }
+
+    deleteObjectStore(name) {
+        this.tables.delete(name);
+    }
+
+    transaction(names, mode = 'readonly') {
+        return new FakeTransaction(this, [].concat(names), mode);
+    }
+
+    close() {}
+}
+
+/**
+ * 새 메모리 IndexedDB 만들기
+ * @returns {{indexedDB: Object, IDBKeyRange: Function}} Worker를 실행할 vm 컨텍스트에 넣는다
+ */
+export function createIndexedDB() {
+    const databases = new Map();
+    const indexedDB = {
+        open(name, version) {
+            const request = new FakeRequest();
+            setTimeout(() => {
+                const stored = databases.get(name) ?? { version: 0, tables: new Map() };
+                databases.set(name, stored);
+                const database = new FakeDatabase(stored);
+                request.result = database;
+                if (version <= stored.version) {
+                    request.dispatch('success');
+                    return;
+                }
+                const oldVersion = stored.version;
+                const tables = new Map([...stored.tables].map(([table, { keyPath, records }]) => (
+                    [table, { keyPath, records: new Map(records) }]
+                )));
+                const transaction = database.transaction([...stored.tables.keys()], 'versionchange');
+                database.versionTransaction = transaction;
+                request.transaction = transaction;
+                transaction.addEventListener('complete', () => {
+                    stored.version = version;
+                    request.dispatch('success');
+                });
+                transaction.addEventListener('abort', () => {
+                    stored.tables = tables; // 만들거나 지운 저장소도 되돌린다
+                    request.error = transaction.error;
+                    request.dispatch('error');
+                });
+                request.dispatch('upgradeneeded', { oldVersion, newVersion: version });
+            }, 0);
+            return request;
+        }
+    };
+    return { indexedDB, IDBKeyRange: FakeKeyRange };
+}
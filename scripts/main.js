@@ -12,9 +12,14 @@ class KakaoTalkViewer {
             index => this.renderer.scrollToIndex(index)
         );
         this.currentChatData = null;
+        this.currentFiles = null; // 인코딩을 바꿔 다시 불러올 원본 파일
         this.store = null;
         this.searchGeneration = 0;
+        this.regexSearch = false; // 검색어 전체를 정규식으로 쓰기
         this.isProcessingFile = false; // 파일 처리 중복 방지 플래그
+        this.encryptionStatus = { enabled: false, locked: false };
+        this.autoLockDelay = 10 * 60 * 1000; // 이 시간 동안 조작이 없으면 잠근다
+        this.lastActivity = Date.now();
 
         // 데스크톱 전용 체크
         if (!this.isDesktop()) {
@@ -23,6 +28,7 @@ class KakaoTalkViewer {
         }
 
         this.initEventListeners();
+        this.startSession();
     }
 
     /**
@@ -84,6 +90,40 @@ class KakaoTalkViewer {
             uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
         }
         
+        // 인코딩 변경 후 다시 불러오기
+        const encodingSelect = document.getElementById('encoding-select');
+        if (encodingSelect) {
+            encodingSelect.addEventListener('change', (e) => {
+                const encoding = e.target.value;
+                e.target.value = '';
+                this.reimportWithEncoding(encoding);
+            });
+        }
+
+        // 새 내보내기 이어 붙이기
+        const appendInput = document.getElementById('append-file-input');
+        const appendBtn = document.getElementById('append-btn');
+        if (appendBtn && appendInput) {
+            appendBtn.addEventListener('click', () => appendInput.click());
+            appendInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.appendFile(file);
+            });
+        }
+
+        // 가져오기 취소 (Worker가 저장하던 청크를 되돌린다)
+        const cancelImportBtn = document.getElementById('cancel-import-btn');
+        if (cancelImportBtn) {
+            cancelImportBtn.addEventListener('click', () => this.store?.cancelImport());
+        }
+
+        // 보관함 암호와 잠금
+        this.initSecurityControls();
+
+        // 저장 공간 관리
+        this.initStorageControls();
+
         // 검색 기능
         this.initSearchListeners();
         
@@ -91,10 +131,19 @@ class KakaoTalkViewer {
         this.initCalendarListeners();
         this.availableDates = new Set(); // 채팅 데이터에 있는 날짜들
         
-        // 폰트 크기 조절 기능
-        this.initFontSizeControls();
+        // 폰트 크기 조절 기능 (저장된 크기를 덮어쓰지 않도록 기본값을 먼저 둔다)
         this.currentFontSize = 14; // 기본 폰트 크기
-        
+        this.initFontSizeControls();
+
+        // 새로 고침 후 이어 보도록 "나"와 스크롤 위치 저장
+        this.renderer.onCurrentUserChange = name => this.saveViewState({ currentUser: name });
+        const chatMessages = document.getElementById('chat-messages');
+        if (chatMessages) {
+            chatMessages.addEventListener('scroll', () => {
+                clearTimeout(this.scrollSaveTimer);
+                this.scrollSaveTimer = setTimeout(() => this.saveScrollPosition(), 500);
+            }, { passive: true });
+        }
     }
     
     /**
@@ -129,7 +178,7 @@ class KakaoTalkViewer {
         
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-            this.processFile(files[0]);
+            this.processFiles([...files]);
         }
     }
     
@@ -138,58 +187,79 @@ class KakaoTalkViewer {
      * @param {Event} e - 파일 입력 이벤트
      */
     handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            this.processFile(file);
+        const files = [...e.target.files];
+        if (files.length > 0) {
+            this.processFiles(files);
             // 파일 입력 필드 초기화 (같은 파일을 다시 선택할 수 있도록)
             e.target.value = '';
         }
     }
     
+    /**
+     * 현재 파일을 지정한 인코딩으로 다시 불러오기
+     * @param {string} encoding - TextDecoder 라벨
+     */
+    reimportWithEncoding(encoding) {
+        if (!encoding || !this.currentFiles) return;
+        this.processFiles(this.currentFiles, { encoding, chatId: this.currentChatData?.id });
+    }
+
     /**
      * 파일 처리
-     * @param {File} file - 선택된 파일
+     * 같은 채팅방을 여러 번 내보낸 파일을 함께 고르면 겹치는 구간을 빼고 합친다.
+     * @param {File[]} files - 선택된 파일
+     * @param {Object} options - 가져오기 옵션
+     * @param {string} [options.encoding] - 자동 감지 대신 사용할 인코딩
+     * @param {string} [options.chatId] - 덮어쓸 보관함 채팅방 (없으면 새로 추가)
      */
-    async processFile(file) {
+    async processFiles(files, { encoding, chatId } = {}) {
         // 중복 처리 방지
         if (this.isProcessingFile) {
             return;
         }
 
         // 파일 검증
-        if (!this.validateFile(file)) {
+        if (!files.every(file => this.validateFile(file))) {
             this.isProcessingFile = false;
             return;
         }
 
         this.isProcessingFile = true;
-        let openedStore = false;
+        let cancelledChatId = null;
 
         try {
-            this.showLoading(true);
+            this.showLoading(true, true);
             this.hideError();
 
             if (!this.supportsLargeFiles()) {
                 throw new Error('최신 Chrome 또는 Edge 브라우저에서 열어주세요.');
             }
 
-            this.store?.close();
-            this.store = new ChatStore();
-            openedStore = true;
+            // 잠금이 풀린 키가 Worker에 있으므로 저장소를 새로 만들지 않고 이어 쓴다
+            const store = this.ensureStore();
+            this.currentFiles = files;
             this.currentChatData = null;
             this.searchRenderer.clear();
             this.renderer.chatData = null;
             document.getElementById('chat-container').classList.add('hidden');
             document.getElementById('welcome-screen').classList.remove('hidden');
             navigator.storage?.persist?.().catch(() => {});
-            this.currentChatData = await this.store.importFile(
-                file,
-                progress => this.updateImportProgress(progress)
+            const resumeFrom = chatId ? null : await this.askResume(store, files);
+            this.currentChatData = await store.importFiles(
+                files,
+                progress => this.updateImportProgress(progress),
+                resumeFrom ? { chatId: resumeFrom.chatId, resume: true } : { encoding, chatId }
             );
             
             // 유효성 검증
             if (!this.validateChatData(this.currentChatData)) {
-                throw new Error('올바른 카카오톡 채팅 내보내기 파일이 아닙니다.');
+                // 덮어쓰는 채팅방은 Worker가 바꿔 넣기 전에 확인하므로, 여기 오는 것은 새로 만든 채팅방뿐이다
+                await store.deleteChat(this.currentChatData.id);
+                const encodingLabel = this.currentChatData?.encoding?.toUpperCase();
+                throw new Error(
+                    '올바른 카카오톡 채팅 내보내기 파일이 아닙니다.' +
+                    (encodingLabel ? ` (인코딩: ${encodingLabel})` : '')
+                );
             }
             
             // UI 업데이트
@@ -197,16 +267,18 @@ class KakaoTalkViewer {
             this.extractAvailableDates(this.currentChatData); // 사용 가능한 날짜 추출
             await this.renderer.render(this.currentChatData, this.store);
             this.showChatContainer();
+            this.refreshLibrary();
             
         } catch (error) {
             console.error('파일 처리 오류:', error);
-            if (openedStore) {
-                this.store?.close();
-                this.store = null;
-                this.currentChatData = null;
-            }
-            if (error.name === 'QuotaExceededError') {
-                this.showError('브라우저 저장 공간이 부족합니다. 기기의 여유 공간을 확보한 뒤 다시 시도해주세요.');
+            this.currentChatData = null;
+            if (error.name === 'AbortError') {
+                cancelledChatId = chatId ?? null;
+                this.refreshLibrary();
+            } else if (error.name === 'LockedError') {
+                this.showLockScreen();
+            } else if (error.name === 'QuotaExceededError') {
+                this.showQuotaError();
             } else {
                 this.showError('파일을 처리하는 중 오류가 발생했습니다: ' + error.message);
             }
@@ -214,8 +286,709 @@ class KakaoTalkViewer {
             this.showLoading(false);
             this.isProcessingFile = false; // 플래그 초기화
         }
+        // 다시 불러오기를 취소해도 원래 대화는 그대로 남아 있으므로 다시 연다
+        if (cancelledChatId) await this.showStoredChat(store => store.openChat(cancelledChatId));
     }
     
+    /**
+     * 같은 파일을 불러오다 멈춘 기록이 있으면 이어서 불러올지 묻기
+     * 이어서 불러오지 않으면 남은 청크를 지운다.
+     * @param {ChatStore} store - 채팅 저장소
+     * @param {File[]} files - 선택된 파일
+     * @returns {Promise<Object|null>} 이어서 불러올 체크포인트
+     */
+    async askResume(store, files) {
+        if (files.length !== 1) return null;
+        const checkpoint = await store.findCheckpoint(files[0]);
+        if (!checkpoint) return null;
+
+        const percentage = Math.floor(checkpoint.offset / checkpoint.size * 100);
+        if (window.confirm(`'${files[0].name}' 파일을 ${percentage}%까지 불러오다 멈췄습니다. 이어서 불러올까요?`)) {
+            return checkpoint;
+        }
+        await store.deleteChat(checkpoint.chatId);
+        return null;
+    }
+
+    /**
+     * 새로 내보낸 파일에서 저장된 마지막 메시지 이후 항목만 이어 붙이기
+     * @param {File} file - 같은 채팅방의 더 최근 내보내기 파일
+     */
+    async appendFile(file) {
+        if (this.isProcessingFile || !this.store || !this.currentChatData) return;
+        if (!this.validateFile(file)) return;
+
+        this.isProcessingFile = true;
+        try {
+            this.showLoading(true, true);
+            this.hideError();
+            this.clearSearchResults();
+            const chatData = await this.store.appendFile(
+                file,
+                progress => this.updateImportProgress(progress)
+            );
+            this.currentChatData = chatData;
+
+            this.updateChatInfo(chatData);
+            this.extractAvailableDates(chatData);
+            this.renderer.users = chatData.users;
+            await this.renderer.render(chatData, this.store, false);
+            this.refreshLibrary();
+        } catch (error) {
+            console.error('이어 붙이기 오류:', error);
+            if (error.name === 'AbortError') {
+                // 저장된 대화는 이어 붙이기 전 상태로 돌아가 있다
+            } else if (error.name === 'LockedError') {
+                this.showLockScreen();
+            } else if (error.name === 'QuotaExceededError') {
+                this.showQuotaError();
+            } else {
+                this.showError('새 내보내기를 이어 붙이는 중 오류가 발생했습니다: ' + error.message);
+            }
+        } finally {
+            this.showLoading(false);
+            this.isProcessingFile = false;
+        }
+    }
+
+    /**
+     * 보관함 작업에 쓸 저장소 (파일을 불러오기 전에도 목록을 볼 수 있도록)
+     * @returns {ChatStore|null} 지원하지 않는 브라우저면 null
+     */
+    ensureStore() {
+        if (!this.store && this.supportsLargeFiles()) {
+            this.store = new ChatStore();
+            this.store.changeListener = change => this.handleStorageChange(change);
+        }
+        return this.store;
+    }
+
+    /**
+     * 다른 탭에서 저장소가 바뀌었을 때 화면 맞추기
+     * @param {{kind: string, chatId?: string, title?: string}} change - Worker가 알려준 변경
+     */
+    handleStorageChange(change) {
+        const isCurrent = Boolean(change.chatId) && change.chatId === this.currentChatData?.id;
+        if (change.kind === 'blocked') {
+            this.showError('다른 탭에 이전 버전의 뷰어가 열려 있습니다. 그 탭을 닫으면 이어서 진행합니다.');
+            return;
+        }
+        if (change.kind === 'versionchange') {
+            this.showError('다른 탭에서 새 버전의 뷰어를 열었습니다. 이 탭을 새로고침해주세요.');
+            return;
+        }
+        if (change.kind === 'migrating') {
+            this.showMigrationProgress(change);
+            return;
+        }
+        if (change.kind === 'migrated') {
+            if (!this.isProcessingFile) this.showLoading(false);
+            if (change.reimport.length > 0) {
+                this.showError(`이전 버전의 보관함을 옮기면서 ${change.reimport.join(', ')}는 옮길 수 없어 지웠습니다. 원본 파일을 다시 불러와주세요.`);
+            }
+        }
+        if (change.kind === 'stopped') {
+            // 다음 보관함 작업에서 새 저장소를 만든다
+            this.store = null;
+            this.showError('채팅 저장소를 다시 시작하지 못했습니다. 페이지를 새로고침해주세요.');
+            return;
+        }
+        if (change.kind === 'restarted' && isCurrent) {
+            if (!change.errorName) {
+                this.showStoredChat(() => change.chat);
+            } else if (change.errorName !== 'LockedError') {
+                this.closeCurrentChat();
+                this.showError('채팅 저장소를 다시 시작했지만 채팅방을 다시 열지 못했습니다.');
+            }
+        }
+        // 잠금 해제 상태는 Worker 메모리에만 있어서 다시 시작한 Worker는 잠겨 있다
+        if (change.kind === 'encryption' || change.kind === 'forgotten' || change.kind === 'restarted') {
+            if (change.kind === 'forgotten') {
+                this.closeCurrentChat();
+                this.renderLibrary([]);
+                document.getElementById('lock-screen')?.classList.add('hidden');
+            }
+            this.store.encryptionStatus().then(status => {
+                this.renderSecurity(status);
+                if (status.locked) this.showLockScreen();
+            }).catch(error => console.error('암호 상태 확인 오류:', error));
+            return;
+        }
+
+        if (change.kind === 'deleted' && isCurrent) {
+            this.closeCurrentChat();
+            this.showError('다른 탭에서 이 채팅방을 삭제했습니다.');
+        } else if ((change.kind === 'imported' || change.kind === 'appended') && isCurrent) {
+            // 다른 탭이 다시 불러온 대화는 다 불러온 뒤에 한 번에 바꿔 넣으므로 그때 다시 연다
+            this.showStoredChat(store => store.openChat(change.chatId));
+        } else if (change.kind === 'renamed' && isCurrent) {
+            this.currentChatData.title = change.title;
+            this.updateChatInfo(this.currentChatData);
+        }
+        this.refreshLibrary();
+        this.renderStorage();
+    }
+
+    /**
+     * 보관함 목록 다시 읽기
+     */
+    async refreshLibrary() {
+        const store = this.ensureStore();
+        if (!store) return;
+        try {
+            this.renderLibrary(await store.listChats());
+        } catch (error) {
+            console.error('보관함 목록 오류:', error);
+        }
+    }
+
+    /**
+     * 보관함 목록 표시
+     * @param {Array} chats - { id, title, saveDate, totalMessages, updatedAt } 목록
+     */
+    renderLibrary(chats) {
+        const section = document.getElementById('chat-library-section');
+        const list = document.getElementById('chat-library');
+        if (!section || !list) return;
+
+        list.innerHTML = '';
+        section.classList.toggle('hidden', chats.length === 0);
+        chats.forEach(chat => {
+            const isCurrent = chat.id === this.currentChatData?.id;
+            const row = document.createElement('div');
+            row.className = 'flex items-center rounded px-2 py-1 ' + (isCurrent ? 'bg-yellow-50' : 'hover:bg-gray-50');
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'flex-1 min-w-0 text-left';
+            const title = document.createElement('div');
+            title.className = 'truncate text-sm font-medium text-gray-800';
+            title.textContent = chat.title || '제목 없음';
+            const detail = document.createElement('div');
+            detail.className = 'text-xs text-gray-500';
+            detail.textContent = `메시지 ${(chat.totalMessages || 0).toLocaleString()}개 · ` +
+                `${new Date(chat.updatedAt).toLocaleDateString('ko-KR')} 가져옴`;
+            open.appendChild(title);
+            open.appendChild(detail);
+            open.addEventListener('click', () => this.openChat(chat.id));
+
+            const rename = document.createElement('button');
+            rename.type = 'button';
+            rename.className = 'ml-1 p-1 text-xs text-gray-400 hover:text-gray-700';
+            rename.title = '이름 바꾸기';
+            rename.textContent = '✏️';
+            rename.addEventListener('click', () => this.renameChat(chat));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'p-1 text-xs text-gray-400 hover:text-red-600';
+            remove.title = '삭제';
+            remove.textContent = '🗑️';
+            remove.addEventListener('click', () => this.deleteChat(chat));
+
+            row.appendChild(open);
+            row.appendChild(rename);
+            row.appendChild(remove);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * 보관함에 저장된 채팅방 열기 (파일을 다시 올리지 않는다)
+     * @param {string} chatId - 채팅방 ID
+     */
+    openChat(chatId) {
+        if (chatId === this.currentChatData?.id) return;
+        return this.showStoredChat(store => store.openChat(chatId));
+    }
+
+    /**
+     * 시작: 암호가 걸려 있으면 잠금 화면, 아니면 마지막으로 보던 채팅방 열기
+     */
+    async startSession() {
+        const store = this.ensureStore();
+        if (!store) return;
+        try {
+            const status = await store.encryptionStatus();
+            this.renderSecurity(status);
+            if (status.locked) this.showLockScreen();
+            else await this.restoreLastChat();
+        } catch (error) {
+            console.error('저장소 시작 오류:', error);
+        }
+    }
+
+    /**
+     * 시작할 때 마지막으로 보던 채팅방을 다시 열기
+     */
+    restoreLastChat() {
+        return this.showStoredChat(store => store.lastChat());
+    }
+
+    /**
+     * 저장된 채팅방 표시 ("나"와 마지막 스크롤 위치까지 되돌린다)
+     * @param {Function} loadChat - 저장소에서 채팅방 정보를 읽는 함수 (없으면 null)
+     */
+    async showStoredChat(loadChat) {
+        const store = this.ensureStore();
+        if (this.isProcessingFile || !store) return;
+
+        this.isProcessingFile = true;
+        try {
+            this.showLoading(true);
+            this.hideError();
+            const chatData = await loadChat(store);
+            if (!chatData) return;
+
+            this.clearSearchResults();
+            this.currentChatData = chatData;
+            this.currentFiles = null;
+            this.updateChatInfo(chatData);
+            this.extractAvailableDates(chatData);
+            const scrollIndex = chatData.view?.scrollIndex ?? null;
+            await this.renderer.render(chatData, store, true, scrollIndex);
+            this.showChatContainer();
+            if (scrollIndex !== null) await this.renderer.scrollToIndex(scrollIndex, false);
+        } catch (error) {
+            console.error('채팅방 열기 오류:', error);
+            if (error.name === 'LockedError') this.showLockScreen();
+            else this.showError('채팅방을 여는 중 오류가 발생했습니다: ' + error.message);
+        } finally {
+            this.showLoading(false);
+            this.isProcessingFile = false;
+            this.refreshLibrary();
+        }
+    }
+
+    /**
+     * 현재 채팅방의 보는 상태 저장
+     * @param {Object} view - { currentUser, scrollIndex } 중 바뀐 값
+     */
+    saveViewState(view) {
+        if (!this.currentChatData?.id || !this.store) return;
+        this.currentChatData.view = { ...this.currentChatData.view, ...view };
+        this.store.saveView(view).catch(error => console.error('보기 상태 저장 오류:', error));
+    }
+
+    /**
+     * 화면 위쪽 메시지 인덱스를 저장 (맨 아래면 다음에도 맨 아래에서 시작)
+     */
+    saveScrollPosition() {
+        const container = this.renderer.container;
+        if (!this.currentChatData || !this.renderer.chatData || !container) return;
+
+        const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 50;
+        const scrollIndex = atBottom ? null : this.renderer.offsetToIndex(container.scrollTop);
+        if (scrollIndex === (this.currentChatData.view?.scrollIndex ?? null)) return;
+        this.saveViewState({ scrollIndex });
+    }
+
+    /**
+     * 보관함 채팅방 이름 바꾸기
+     * @param {Object} chat - 보관함 목록 항목
+     */
+    async renameChat(chat) {
+        const title = window.prompt('채팅방 이름', chat.title)?.trim();
+        if (!title || title === chat.title) return;
+
+        try {
+            await this.store.renameChat(chat.id, title);
+            if (chat.id === this.currentChatData?.id) {
+                this.currentChatData.title = title;
+                this.updateChatInfo(this.currentChatData);
+            }
+            this.refreshLibrary();
+        } catch (error) {
+            this.showError('채팅방 이름을 바꾸지 못했습니다: ' + error.message);
+        }
+    }
+
+    /**
+     * 보관함에서 채팅방 삭제
+     * @param {Object} chat - 보관함 목록 항목
+     */
+    async deleteChat(chat) {
+        if (this.isProcessingFile) return;
+        if (!window.confirm(`'${chat.title}' 채팅방을 보관함에서 삭제할까요?`)) return;
+
+        try {
+            await this.store.deleteChat(chat.id);
+            if (chat.id === this.currentChatData?.id) this.closeCurrentChat();
+            this.refreshLibrary();
+            this.renderStorage();
+        } catch (error) {
+            this.showError('채팅방을 삭제하지 못했습니다: ' + error.message);
+        }
+    }
+
+    /**
+     * 보고 있던 채팅방을 화면에서 내리고 시작 화면으로 돌아가기
+     */
+    closeCurrentChat() {
+        this.clearSearchResults();
+        this.currentChatData = null;
+        this.currentFiles = null;
+        this.renderer.chatData = null;
+        document.getElementById('chat-container').classList.add('hidden');
+        document.getElementById('welcome-screen').classList.remove('hidden');
+        document.getElementById('chat-info').classList.add('hidden');
+    }
+
+    /**
+     * 보관함 암호 설정, 잠금, 전체 삭제와 자동 잠금 연결
+     */
+    initSecurityControls() {
+        const passphraseForm = document.getElementById('passphrase-form');
+        if (passphraseForm) {
+            passphraseForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.enableEncryption();
+            });
+        }
+
+        const unlockForm = document.getElementById('unlock-form');
+        if (unlockForm) {
+            unlockForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.unlock();
+            });
+        }
+
+        document.getElementById('lock-now-btn')?.addEventListener('click', () => this.lockNow());
+        ['forget-everything-btn', 'lock-forget-btn'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => this.forgetEverything());
+        });
+
+        // 자동 잠금: 마지막 조작 시각을 기록해 두고 주기적으로 확인
+        ['mousemove', 'keydown', 'click', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+        setInterval(() => this.checkAutoLock(), 30 * 1000);
+    }
+
+    /**
+     * 암호 상태 표시
+     * @param {{enabled: boolean, locked: boolean}} status - Worker가 알려준 상태
+     */
+    renderSecurity(status) {
+        this.encryptionStatus = status;
+        const state = document.getElementById('security-state');
+        if (state) {
+            state.textContent = status.enabled
+                ? `암호로 보호 중 · ${this.autoLockDelay / 60000}분 동안 사용하지 않으면 잠깁니다.`
+                : '암호 없이 저장됩니다.';
+        }
+        document.getElementById('passphrase-form')?.classList.toggle('hidden', status.enabled);
+        document.getElementById('lock-now-btn')?.classList.toggle('hidden', !status.enabled);
+    }
+
+    /**
+     * 새 암호 설정 (저장된 채팅방도 모두 암호화된다)
+     */
+    async enableEncryption() {
+        const passphraseInput = document.getElementById('passphrase-new');
+        const confirmInput = document.getElementById('passphrase-confirm');
+        const passphrase = passphraseInput.value;
+        if (!passphrase) {
+            this.showError('암호를 입력해주세요.');
+            return;
+        }
+        if (passphrase !== confirmInput.value) {
+            this.showError('암호 확인이 일치하지 않습니다.');
+            return;
+        }
+        if (this.isProcessingFile) return;
+
+        this.isProcessingFile = true;
+        try {
+            this.showLoading(true);
+            this.hideError();
+            this.renderSecurity(await this.ensureStore().enableEncryption(passphrase));
+            passphraseInput.value = '';
+            confirmInput.value = '';
+        } catch (error) {
+            this.showError('암호를 설정하지 못했습니다: ' + error.message);
+        } finally {
+            this.showLoading(false);
+            this.isProcessingFile = false;
+        }
+    }
+
+    /**
+     * 잠금 화면 표시 (채팅 내용과 보관함 목록을 화면에서 지운다)
+     */
+    showLockScreen() {
+        this.closeCurrentChat();
+        this.renderLibrary([]);
+        document.getElementById('lock-screen')?.classList.remove('hidden');
+        document.getElementById('unlock-passphrase')?.focus();
+    }
+
+    /**
+     * 바로 잠그기 (자동 잠금에서는 기다리지 않고 부르므로 오류를 여기서 알린다)
+     */
+    async lockNow() {
+        if (!this.store) return;
+        try {
+            this.renderSecurity(await this.store.lock());
+        } catch (error) {
+            this.showError('잠그지 못했습니다: ' + error.message);
+        } finally {
+            this.showLockScreen();
+        }
+    }
+
+    /**
+     * 마지막 조작 뒤 autoLockDelay가 지났으면 잠그기
+     */
+    checkAutoLock() {
+        const { enabled, locked } = this.encryptionStatus;
+        if (!enabled || locked || this.isProcessingFile) return;
+        if (Date.now() - this.lastActivity >= this.autoLockDelay) this.lockNow();
+    }
+
+    async unlock() {
+        const input = document.getElementById('unlock-passphrase');
+        const errorText = document.getElementById('unlock-error');
+        try {
+            const status = await this.ensureStore().unlock(input.value);
+            input.value = '';
+            errorText.classList.add('hidden');
+            document.getElementById('lock-screen').classList.add('hidden');
+            this.lastActivity = Date.now();
+            this.renderSecurity(status);
+            await this.restoreLastChat();
+        } catch (error) {
+            errorText.textContent = error.message;
+            errorText.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * 보관함의 모든 채팅방과 암호 설정 삭제
+     */
+    async forgetEverything() {
+        if (this.isProcessingFile) return;
+        if (!window.confirm('보관함의 모든 채팅방과 암호 설정을 지울까요? 되돌릴 수 없습니다.')) return;
+
+        try {
+            const status = await this.ensureStore().forgetEverything();
+            this.closeCurrentChat();
+            this.renderLibrary([]);
+            this.renderSecurity(status);
+            document.getElementById('lock-screen')?.classList.add('hidden');
+        } catch (error) {
+            this.showError('데이터를 지우지 못했습니다: ' + error.message);
+        }
+    }
+
+    initStorageControls() {
+        const section = document.getElementById('storage-section');
+        if (!section) return;
+        section.addEventListener('toggle', () => this.renderStorage());
+        document.getElementById('clear-search-cache-btn')?.addEventListener('click', () => this.clearSearchCache());
+        document.getElementById('storage-persist-btn')?.addEventListener('click', () => this.requestPersistence());
+        document.getElementById('backup-export-btn')?.addEventListener('click', () => this.exportBackup());
+        const backupInput = document.getElementById('backup-input');
+        document.getElementById('backup-restore-btn')?.addEventListener('click', () => backupInput?.click());
+        backupInput?.addEventListener('change', event => {
+            const [file] = event.target.files;
+            event.target.value = ''; // 같은 파일을 다시 골라도 change가 오도록
+            if (file) this.restoreBackup(file);
+        });
+    }
+
+    /**
+     * 저장 공간 표시 (패널이 열려 있을 때만 계산한다)
+     * 브라우저 전체 사용량과 할당량, 영구 저장 여부, 채팅방별·검색 결과의 대략적인 크기를 보여준다.
+     */
+    async renderStorage() {
+        const section = document.getElementById('storage-section');
+        const store = this.ensureStore();
+        if (!section?.open || !store) return;
+
+        const estimateText = document.getElementById('storage-estimate');
+        const persistedText = document.getElementById('storage-persisted');
+        const list = document.getElementById('storage-chats');
+        const searchCacheText = document.getElementById('storage-search-cache');
+        estimateText.textContent = '계산 중...';
+        try {
+            const [estimate, persisted, usage] = await Promise.all([
+                navigator.storage?.estimate?.() ?? null,
+                navigator.storage?.persisted?.() ?? false,
+                store.storageUsage()
+            ]);
+            estimateText.textContent = estimate
+                ? `사용 중 ${this.formatBytes(estimate.usage)} / 할당량 ${this.formatBytes(estimate.quota)}` +
+                    ` (${Math.round(estimate.usage / estimate.quota * 100)}%)`
+                : '이 브라우저는 사용량을 알려주지 않습니다.';
+            persistedText.textContent = persisted
+                ? '영구 저장: 허용됨'
+                : '영구 저장: 허용되지 않음 (공간이 부족하면 브라우저가 지울 수 있습니다)';
+            document.getElementById('storage-persist-btn')?.classList.toggle('hidden', persisted);
+
+            list.innerHTML = '';
+            usage.chats.forEach(chat => {
+                const row = document.createElement('div');
+                row.className = 'flex items-center text-xs';
+                const label = document.createElement('span');
+                label.className = 'flex-1 min-w-0 truncate text-gray-700';
+                label.textContent = (chat.title || '제목 없음') + (chat.unfinished ? ' (불러오다 멈춤)' : '');
+                const size = document.createElement('span');
+                size.className = 'ml-2 text-gray-500';
+                size.textContent = `약 ${this.formatBytes(chat.bytes)}`;
+                if (chat.rawBytes > chat.bytes) {
+                    size.textContent += ` (압축 전 ${this.formatBytes(chat.rawBytes)})`;
+                    size.title = `압축으로 ${Math.round((1 - chat.bytes / chat.rawBytes) * 100)}% 줄였습니다`;
+                }
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'ml-1 p-1 text-gray-400 hover:text-red-600';
+                remove.title = '삭제';
+                remove.textContent = '🗑️';
+                remove.addEventListener('click', () => this.deleteChat(chat));
+                row.appendChild(label);
+                row.appendChild(size);
+                row.appendChild(remove);
+                list.appendChild(row);
+            });
+            searchCacheText.textContent = `검색 결과 약 ${this.formatBytes(usage.searchCacheBytes)}`;
+        } catch (error) {
+            console.error('저장 공간 확인 오류:', error);
+            estimateText.textContent = error.name === 'LockedError'
+                ? '보관함이 잠겨 있어 채팅방별 크기를 볼 수 없습니다.'
+                : '저장 공간을 확인하지 못했습니다: ' + error.message;
+        }
+    }
+
+    /**
+     * 바이트 수 표시
+     * @param {number} bytes - 바이트
+     * @returns {string} 변환된 크기 (예: "512 B", "1.5 KB", "12.3 MB")
+     */
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${value} ${units[0]}` : `${value.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * 저장된 검색 결과 비우기 (열려 있는 검색 결과도 닫는다)
+     */
+    async clearSearchCache() {
+        if (!this.store) return;
+        try {
+            await this.store.clearSearchCache();
+            this.clearSearchResults();
+            this.renderStorage();
+        } catch (error) {
+            this.showError('검색 결과를 비우지 못했습니다: ' + error.message);
+        }
+    }
+
+    /**
+     * 영구 저장 다시 요청 (브라우저가 거절하면 그대로 둔다)
+     */
+    async requestPersistence() {
+        const granted = await navigator.storage?.persist?.().catch(() => false);
+        if (!granted) {
+            this.showError('브라우저가 영구 저장을 허용하지 않았습니다. 사이트를 북마크하거나 자주 방문하면 허용될 수 있습니다.');
+        }
+        this.renderStorage();
+    }
+
+    /**
+     * 보관함 전체를 백업 파일로 내려받기 (다른 기기에서 백업에서 복원으로 되살린다)
+     * 백업 파일은 암호화하지 않으므로 보관함이 암호화되어 있으면 먼저 확인을 받는다.
+     */
+    async exportBackup() {
+        const store = this.ensureStore();
+        if (this.isProcessingFile || !store) return;
+
+        this.isProcessingFile = true;
+        try {
+            const status = await store.encryptionStatus();
+            if (status.enabled && !window.confirm('백업 파일은 암호화되지 않습니다. 파일을 안전한 곳에 보관해주세요. 계속할까요?')) return;
+            this.showLoading(true);
+            this.hideError();
+            const loadingText = document.getElementById('loading-text');
+            if (loadingText) loadingText.textContent = '백업 파일을 만드는 중...';
+            const blob = await store.exportBackup({ fontSize: this.currentFontSize });
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `kakaotalk-chat-backup-${new Date().toISOString().slice(0, 10)}.jsonl.gz`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        } catch (error) {
+            console.error('백업 오류:', error);
+            if (error.name === 'LockedError') this.showLockScreen();
+            else this.showError('백업 파일을 만들지 못했습니다: ' + error.message);
+        } finally {
+            this.showLoading(false);
+            this.isProcessingFile = false;
+        }
+    }
+
+    /**
+     * 백업 파일의 채팅방을 보관함에 되살리기
+     * 같은 채팅방이 이미 있으면 백업한 것으로 바뀌고, 백업에 담긴 글자 크기도 되돌린다.
+     * @param {File} file - 백업 내보내기로 받은 파일
+     */
+    async restoreBackup(file) {
+        const store = this.ensureStore();
+        if (this.isProcessingFile || !store) return;
+
+        this.isProcessingFile = true;
+        let restored = null;
+        try {
+            this.showLoading(true);
+            this.hideError();
+            restored = await store.restoreBackup(
+                file,
+                progress => this.updateImportProgress(progress, '백업에서 복원 중...')
+            );
+            const { fontSize } = restored.preferences;
+            if (Number.isInteger(fontSize) && fontSize % 2 === 0 && fontSize >= 10 && fontSize <= 24) {
+                this.currentFontSize = fontSize;
+                this.updateFontSize();
+            }
+        } catch (error) {
+            console.error('복원 오류:', error);
+            if (error.name === 'LockedError') this.showLockScreen();
+            else if (error.name === 'QuotaExceededError') this.showQuotaError();
+            else this.showError('백업에서 복원하지 못했습니다: ' + error.message);
+        } finally {
+            this.showLoading(false);
+            this.isProcessingFile = false;
+        }
+        if (!restored) return;
+
+        this.renderStorage();
+        // 보던 채팅방은 같은 id로 백업한 대화로 바뀌었을 수 있어 다시 열고, 보던 채팅방이 없으면 마지막으로 보던 채팅방을 연다
+        const currentId = this.currentChatData?.id;
+        const chats = await store.listChats().catch(() => []);
+        if (chats.some(chat => chat.id === currentId)) await this.showStoredChat(store => store.openChat(currentId));
+        else await this.restoreLastChat();
+    }
+
+    /**
+     * 저장 공간 부족 안내 (저장 공간 패널을 열어 지울 채팅방을 고르게 한다)
+     */
+    showQuotaError() {
+        this.showError('브라우저 저장 공간이 부족합니다. 위의 저장 공간 패널에서 필요 없는 채팅방이나 검색 결과를 지운 뒤 다시 시도해주세요.');
+        const section = document.getElementById('storage-section');
+        if (section) section.open = true;
+    }
+
     /**
      * 파일 유효성 검증
      * @param {File} file - 검증할 파일
@@ -223,8 +996,8 @@ class KakaoTalkViewer {
      */
     validateFile(file) {
         // 파일 타입 검증
-        if (!file.type.includes('text') && !file.name.endsWith('.txt')) {
-            this.showError('텍스트 파일(.txt)만 업로드할 수 있습니다.');
+        if (!file.type.includes('text') && !file.name.endsWith('.txt') && !file.name.endsWith('.csv')) {
+            this.showError('텍스트 파일(.txt) 또는 CSV 파일(.csv)만 업로드할 수 있습니다.');
             return false;
         }
         
@@ -262,6 +1035,13 @@ class KakaoTalkViewer {
         document.getElementById('chat-title').textContent = chatData.title;
         document.getElementById('save-date').textContent = chatData.saveDate;
         document.getElementById('message-count').textContent = totalMessages.toLocaleString();
+        const fileEncoding = document.getElementById('file-encoding');
+        if (fileEncoding && chatData.encoding) {
+            fileEncoding.textContent = `${chatData.encoding.toUpperCase()} (${chatData.encodingDetected ? '자동 감지' : '직접 선택'})`;
+        }
+        this.renderCallStats(chatData.callStats || []);
+        this.renderDiagnostics(chatData.diagnostics);
+        this.renderMergedFiles(chatData.files || []);
         document.getElementById('chat-info').classList.remove('hidden');
 
         // 모바일용 채팅방 정보 업데이트 (요소가 존재할 경우에만)
@@ -274,6 +1054,109 @@ class KakaoTalkViewer {
         }
     }
     
+    /**
+     * 참여자별 통화 요약 표시
+     * @param {Array} callStats - { name, calls, totalDuration, missedCalls } 목록
+     */
+    renderCallStats(callStats) {
+        const section = document.getElementById('call-stats-section');
+        const list = document.getElementById('call-stats');
+        if (!section || !list) return;
+
+        list.innerHTML = '';
+        section.classList.toggle('hidden', callStats.length === 0);
+        callStats.forEach(stats => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between';
+            const name = document.createElement('span');
+            name.className = 'truncate font-medium text-gray-700';
+            name.textContent = stats.name;
+            const summary = document.createElement('span');
+            summary.className = 'flex-shrink-0 ml-2';
+            summary.textContent = `${this.formatCallDuration(stats.totalDuration)} · ${stats.calls}회` +
+                (stats.missedCalls > 0 ? ` · 부재중 ${stats.missedCalls}회` : '');
+            row.appendChild(name);
+            row.appendChild(summary);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * 합친 파일별로 더해진 메시지 수 표시 (파일이 여러 개일 때만)
+     * @param {Array} files - { name, messages, duplicates } 목록
+     */
+    renderMergedFiles(files) {
+        const section = document.getElementById('merged-files-section');
+        const list = document.getElementById('merged-files');
+        if (!section || !list) return;
+
+        list.innerHTML = '';
+        section.classList.toggle('hidden', files.length < 2);
+        files.forEach(file => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between';
+            const name = document.createElement('span');
+            name.className = 'truncate font-medium text-gray-700';
+            name.textContent = file.name;
+            const summary = document.createElement('span');
+            summary.className = 'flex-shrink-0 ml-2';
+            summary.textContent = `${file.messages.toLocaleString()}개 추가` +
+                (file.duplicates > 0 ? ` · 중복 ${file.duplicates.toLocaleString()}개` : '');
+            row.appendChild(name);
+            row.appendChild(summary);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * 파싱 중 인식하지 못한 줄 표시
+     * 항목을 누르면 해당 줄이 이어 붙은 위치로 이동한다.
+     * @param {Object} diagnostics - { total, counts, items }
+     */
+    renderDiagnostics(diagnostics) {
+        const section = document.getElementById('parse-warnings');
+        const list = document.getElementById('parse-warnings-list');
+        if (!section || !list) return;
+
+        list.innerHTML = '';
+        const total = diagnostics ? diagnostics.total : 0;
+        section.classList.toggle('hidden', total === 0);
+        if (total === 0) return;
+
+        const { counts, items } = diagnostics;
+        document.getElementById('parse-warnings-summary').textContent =
+            `${total.toLocaleString()}줄 · 머리말 의심 ${counts.suspiciousHeader} · ` +
+            `날짜 인식 실패 ${counts.unknownDate} · 붙을 곳 없음 ${counts.orphan}` +
+            (items.length < total ? ` (앞 ${items.length}줄만 표시)` : '');
+
+        const labels = { orphan: '붙을 곳 없음', suspiciousHeader: '머리말 의심', unknownDate: '날짜 인식 실패' };
+        items.forEach(item => {
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'block w-full text-left px-2 py-1 rounded hover:bg-yellow-50';
+            row.title = `${item.file ? `${item.file} ` : ''}${item.line}번째 줄 (${labels[item.kind]})`;
+            row.textContent = `${item.line}: ${item.text}`;
+            row.addEventListener('click', () => {
+                // 마지막 메시지 뒤의 줄은 마지막 항목으로 보낸다
+                this.renderer.scrollToIndex(Math.min(item.index, this.currentChatData.totalEntries - 1));
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * 통화 시간 합계 표시
+     * @param {number} seconds - 초
+     * @returns {string} 변환된 시간 (예: "1시간 2분", "45초")
+     */
+    formatCallDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        if (hours > 0) return `${hours}시간 ${minutes}분`;
+        if (minutes > 0) return `${minutes}분`;
+        return `${seconds}초`;
+    }
+
     /**
      * 채팅 컨테이너 표시
      */
@@ -285,15 +1168,19 @@ class KakaoTalkViewer {
     /**
      * 로딩 상태 표시
      * @param {boolean} show - 표시 여부
+     * @param {boolean} [cancellable] - 가져오기 취소 버튼 표시 여부
      */
-    showLoading(show) {
+    showLoading(show, cancellable = false) {
         const loading = document.getElementById('loading');
+        document.getElementById('cancel-import-btn')?.classList.toggle('hidden', !(show && cancellable));
         const mobileLoading = document.getElementById('mobile-loading');
         const mobileInfoLoading = document.getElementById('mobile-info-loading');
 
         if (show) {
             const loadingText = document.getElementById('loading-text');
+            const loadingDetail = document.getElementById('loading-detail');
             if (loadingText) loadingText.textContent = '분석 준비 중...';
+            if (loadingDetail) loadingDetail.textContent = '';
             if (loading) loading.classList.remove('hidden');
             if (mobileLoading) mobileLoading.classList.remove('hidden');
             if (mobileInfoLoading) mobileInfoLoading.classList.remove('hidden');
@@ -304,11 +1191,46 @@ class KakaoTalkViewer {
         }
     }
 
-    updateImportProgress({ loaded, total }) {
+    /**
+     * 이전 버전의 보관함을 옮기는 진행 상황 (저장소를 처음 여는 요청이 끝날 때까지 걸린다)
+     * @param {{version: number, loaded: number, total: number}} progress - Worker가 보낸 진행 상황
+     */
+    showMigrationProgress({ version, loaded, total }) {
+        this.showLoading(true);
+        const percentage = total > 0 ? Math.min(100, Math.round(loaded / total * 100)) : 0;
+        const loadingText = document.getElementById('loading-text');
+        if (loadingText) loadingText.textContent = `이전 버전의 보관함을 옮기는 중... ${percentage}%`;
+        const loadingDetail = document.getElementById('loading-detail');
+        if (loadingDetail) loadingDetail.textContent = `저장소 v${version} · 청크 ${loaded.toLocaleString()}/${total.toLocaleString()}개`;
+    }
+
+    updateImportProgress(progress, label = '분석 및 저장 중...') {
         const loadingText = document.getElementById('loading-text');
-        if (!loadingText || !total) return;
-        const percentage = Math.min(100, Math.round(loaded / total * 100));
-        loadingText.textContent = `분석 및 저장 중... ${percentage}%`;
+        if (loadingText && progress.waiting) {
+            loadingText.textContent = '다른 탭에서 가져오는 중입니다. 끝나면 이어서 진행합니다...';
+            return;
+        }
+        if (!loadingText || !progress.total) return;
+        const percentage = Math.min(100, Math.round(progress.loaded / progress.total * 100));
+        loadingText.textContent = `${label} ${percentage}%`;
+        const loadingDetail = document.getElementById('loading-detail');
+        if (loadingDetail) loadingDetail.textContent = this.formatImportProgress(progress);
+    }
+
+    /**
+     * 가져오기 진행 상황 문구
+     * @param {Object} progress - Worker가 보낸 진행 상황
+     * @returns {string} 예: "메시지 12,345개 · 8.2 MB/s · 약 1분 15초 남음"
+     */
+    formatImportProgress({ messages = 0, bytesPerSecond = 0, remainingSeconds = null }) {
+        const parts = [`메시지 ${messages.toLocaleString()}개`];
+        if (bytesPerSecond > 0) parts.push(`${(bytesPerSecond / 1024 / 1024).toFixed(1)} MB/s`);
+        if (remainingSeconds !== null) {
+            const seconds = Math.ceil(remainingSeconds);
+            const minutes = Math.floor(seconds / 60);
+            parts.push(`약 ${minutes > 0 ? `${minutes}분 ` : ''}${seconds % 60}초 남음`);
+        }
+        return parts.join(' · ');
     }
     
     /**
@@ -358,11 +1280,36 @@ class KakaoTalkViewer {
         if (searchInput) {
             searchInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
+                    this.hideSearchSuggestions();
                     this.handleSearch(e.target.value);
                 }
             });
+            // from: 이름 자동 완성 (방향키로 고르고 Enter로 넣는다)
+            searchInput.addEventListener('input', () => this.updateSearchSuggestions());
+            searchInput.addEventListener('blur', () => this.hideSearchSuggestions());
+            searchInput.addEventListener('keydown', (e) => {
+                const suggestions = this.searchSuggestions;
+                if (!suggestions?.names.length) return;
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    suggestions.active = (suggestions.active + step + suggestions.names.length + 1) % (suggestions.names.length + 1);
+                    this.renderSearchSuggestions();
+                } else if (e.key === 'Enter' && suggestions.active < suggestions.names.length) {
+                    e.preventDefault();
+                    this.applySearchSuggestion(suggestions.names[suggestions.active]);
+                } else if (e.key === 'Escape') {
+                    this.hideSearchSuggestions();
+                }
+            });
         }
         
+        // 정규식 모드 - 켜고 끌 때 입력한 검색어로 다시 검색
+        document.getElementById('search-regex-toggle')?.addEventListener('click', () => {
+            this.setRegexSearch(!this.regexSearch);
+            if (searchInput?.value.trim()) this.handleSearch(searchInput.value);
+        });
+
         // 통합검색 버튼 - 클릭 시 검색
         if (integratedSearch) {
             integratedSearch.addEventListener('click', () => {
@@ -372,28 +1319,147 @@ class KakaoTalkViewer {
         }
     }
     
+    /**
+     * 정규식 모드 켜고 끄기 (켜면 검색어 문법과 이름 자동 완성을 쓰지 않는다)
+     * @param {boolean} enabled - 정규식 모드 여부
+     */
+    setRegexSearch(enabled) {
+        this.regexSearch = enabled;
+        const toggle = document.getElementById('search-regex-toggle');
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(enabled));
+            toggle.classList.toggle('bg-kakao-yellow', enabled);
+            toggle.classList.toggle('text-kakao-brown', enabled);
+            toggle.classList.toggle('text-gray-400', !enabled);
+        }
+        const input = document.getElementById('search-input');
+        if (input) input.placeholder = enabled ? '정규식 (예: 01[0-9]-?\\d{4}-?\\d{4})' : '대화내용 검색';
+        this.hideSearchSuggestions();
+    }
+
+    /**
+     * 커서가 from: 뒤에 있으면 대화 참여자 이름 후보 보여주기 (메시지가 많은 사람부터)
+     */
+    updateSearchSuggestions() {
+        const input = document.getElementById('search-input');
+        const token = input && !this.regexSearch ? SearchQuery.fromPrefix(input.value, input.selectionStart) : null;
+        const prefix = token?.prefix.toLocaleLowerCase();
+        const names = token
+            ? (this.currentChatData?.users || [])
+                .map(user => user.name)
+                .filter(name => name.toLocaleLowerCase().includes(prefix) && name !== token.prefix)
+                .slice(0, 8)
+            : [];
+        // active가 names.length면 아무것도 고르지 않은 상태 (Enter는 그대로 검색)
+        this.searchSuggestions = { token, names, active: names.length };
+        this.renderSearchSuggestions();
+    }
+
+    renderSearchSuggestions() {
+        const list = document.getElementById('search-suggestions');
+        if (!list) return;
+        const { names = [], active } = this.searchSuggestions || {};
+        list.replaceChildren(...names.map((name, position) => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'block w-full text-left px-3 py-1.5 text-sm text-gray-700 truncate ' +
+                (position === active ? 'bg-yellow-50' : 'hover:bg-gray-50');
+            option.textContent = name;
+            // 입력창이 먼저 blur되어 목록이 닫히지 않도록
+            option.addEventListener('mousedown', event => event.preventDefault());
+            option.addEventListener('click', () => this.applySearchSuggestion(name));
+            return option;
+        }));
+        list.classList.toggle('hidden', names.length === 0);
+    }
+
+    hideSearchSuggestions() {
+        this.searchSuggestions = null;
+        this.renderSearchSuggestions();
+    }
+
+    /**
+     * 고른 이름으로 from: 조건 완성 (공백이 있는 이름은 따옴표로 감싼다)
+     * @param {string} name - 대화 참여자 이름
+     */
+    applySearchSuggestion(name) {
+        const input = document.getElementById('search-input');
+        const token = this.searchSuggestions?.token;
+        if (!input || !token) return;
+        const completed = `${token.field}${/\s/.test(name) ? `"${name}"` : name} `;
+        input.value = input.value.slice(0, token.start) + completed + input.value.slice(token.end).trimStart();
+        const cursor = token.start + completed.length;
+        input.setSelectionRange(cursor, cursor);
+        input.focus();
+        this.hideSearchSuggestions();
+    }
+
+    /**
+     * 해석한 검색 조건을 지울 수 있는 칩으로 표시
+     * 칩을 지우면 남은 조건으로 검색창을 고쳐 쓰고 다시 검색한다.
+     * @param {{clauses: Array<Array<Object>>}} query - SearchQuery.parse() 결과
+     */
+    renderSearchChips(query) {
+        const chips = document.getElementById('search-chips');
+        if (!chips) return;
+        chips.replaceChildren(...query.clauses.map((terms, position) => {
+            const chip = document.createElement('span');
+            chip.className = 'inline-flex items-center max-w-full bg-yellow-100 text-kakao-brown text-xs rounded-full pl-2 pr-1 py-0.5';
+            const label = document.createElement('span');
+            label.className = 'truncate';
+            label.textContent = SearchQuery.describe(terms);
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'ml-1 px-1 text-gray-500 hover:text-red-600';
+            remove.title = '조건 지우기';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                const rest = SearchQuery.stringify({ clauses: query.clauses.filter((_, other) => other !== position) });
+                const input = document.getElementById('search-input');
+                if (input) input.value = rest;
+                this.handleSearch(rest);
+            });
+            chip.appendChild(label);
+            chip.appendChild(remove);
+            return chip;
+        }));
+        chips.classList.toggle('hidden', query.clauses.length === 0);
+    }
+
     /**
      * 검색 처리
-     * @param {string} query - 검색어
+     * @param {string} query - 검색어 (from:, type:, before:/after:, "구절", -제외, OR 문법은 SearchQuery 참고)
+     *   정규식 모드에서는 입력 전체가 정규식 하나다.
      */
     async handleSearch(query) {
-        if (!query.trim() || !this.currentChatData) {
+        let parsed;
+        try {
+            parsed = this.regexSearch ? SearchQuery.regex(query) : SearchQuery.parse(query);
+        } catch (error) {
+            this.clearSearchResults();
+            this.showError('검색어를 확인해주세요: ' + error.message);
+            return;
+        }
+        if (parsed.clauses.length === 0 || !this.currentChatData) {
             this.clearSearchResults();
             return;
         }
 
         const generation = ++this.searchGeneration;
+        this.hideError();
+        this.renderSearchChips(parsed);
         // 로딩 표시
         this.showSearchLoading();
 
         try {
-            const { total } = await this.searchMessages(query);
+            const { total } = await this.searchMessages(parsed);
             if (generation !== this.searchGeneration) return;
             await this.searchRenderer.render(
                 total,
                 query,
                 this.store,
-                date => this.formatSearchDate(date)
+                result => this.formatSearchDate(result),
+                SearchQuery.highlights(parsed)
             );
             if (generation !== this.searchGeneration) return;
             this.hideSearchLoading();
@@ -407,7 +1473,7 @@ class KakaoTalkViewer {
     
     /**
      * 메시지 검색
-     * @param {string} query - 검색어
+     * @param {{clauses: Array<Array<Object>>}} query - SearchQuery.parse()로 해석한 검색어
      * @returns {{total: number}} 검색 결과 수
      */
     async searchMessages(query) {
@@ -441,45 +1507,31 @@ class KakaoTalkViewer {
     }
     
     /**
-     * 날짜 형식 변환
-     * @param {string} dateString - 원본 날짜 문자열 (예: "2025년 5월 20일 화요일")
+     * 검색 결과의 날짜 형식 변환
+     * extractAvailableDates()처럼 타임스탬프로 만들고, 타임스탬프가 없는 이전 저장 데이터만 날짜 문자열을 읽는다.
+     * @param {{date: string, timestamp?: number}} result - 검색 결과
      * @returns {string} 변환된 날짜 (예: "2025.05.20 화")
      */
-    formatSearchDate(dateString) {
-        if (!dateString) return '';
-        
-        // "2025년 5월 20일 화요일" 형식에서 정보 추출
-        const match = dateString.match(/(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일\s*(.+)/);
-        if (!match) return dateString;
-        
+    formatSearchDate({ date, timestamp }) {
+        if (Number.isFinite(timestamp)) {
+            const day = new Date(timestamp);
+            return `${this.formatDateForComparison(day).replaceAll('-', '.')} ${'일월화수목금토'[day.getDay()]}`;
+        }
+        if (!date) return '';
+
+        const match = date.match(/(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일\s*(.)/);
+        if (!match) return date;
         const [, year, month, day, dayOfWeek] = match;
-        
-        // 요일을 한 글자로 변환
-        const dayMap = {
-            '월요일': '월',
-            '화요일': '화', 
-            '수요일': '수',
-            '목요일': '목',
-            '금요일': '금',
-            '토요일': '토',
-            '일요일': '일'
-        };
-        
-        const shortDay = dayMap[dayOfWeek] || dayOfWeek;
-        
-        // 월, 일을 2자리로 패딩
-        const paddedMonth = month.padStart(2, '0');
-        const paddedDay = day.padStart(2, '0');
-        
-        return `${year}.${paddedMonth}.${paddedDay} ${shortDay}`;
+        return `${year}.${month.padStart(2, '0')}.${day.padStart(2, '0')} ${dayOfWeek}`;
     }
-    
+
     /**
      * 검색 결과 지우기
      */
     clearSearchResults() {
         this.searchGeneration++;
         this.hideSearchLoading();
+        this.renderSearchChips({ clauses: [] });
         this.searchRenderer.clear();
     }
     
@@ -684,11 +1736,17 @@ class KakaoTalkViewer {
 
         if (!chatData?.dates) return;
 
-        chatData.dates.forEach(({ date, index }) => {
-            const match = date.match(/(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일/);
-            if (!match) return;
-            const [, year, month, day] = match;
-            const dateString = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        chatData.dates.forEach(({ date, index, timestamp }) => {
+            let dateString;
+            if (Number.isFinite(timestamp)) {
+                dateString = this.formatDateForComparison(new Date(timestamp));
+            } else {
+                // 타임스탬프가 없는 이전 저장 데이터
+                const match = date.match(/(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일/);
+                if (!match) return;
+                const [, year, month, day] = match;
+                dateString = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+            }
             this.availableDates.add(dateString);
             if (!this.dateIndexes.has(dateString)) this.dateIndexes.set(dateString, index);
         });
@@ -1267,7 +2325,7 @@ KakaoTalkViewer.prototype.handleMobileDrop = function(e) {
 
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-        this.processFile(files[0]);
+        this.processFiles([...files]);
     }
 };
 
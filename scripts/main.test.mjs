@@ -39,6 +39,33 @@ viewer.store = {
     }
 };
 
+let lockCount = 0;
+viewer.lockNow = () => lockCount++;
+viewer.autoLockDelay = 10 * 60 * 1000;
+viewer.isProcessingFile = false;
+viewer.encryptionStatus = { enabled: true, locked: false };
+viewer.lastActivity = Date.now() - 60 * 1000;
+viewer.checkAutoLock();
+assert.equal(lockCount, 0, '최근에 조작했으면 잠그면 안 된다.');
+viewer.lastActivity = Date.now() - viewer.autoLockDelay;
+viewer.checkAutoLock();
+assert.equal(lockCount, 1, '조작 없이 시간이 지나면 잠가야 한다.');
+viewer.encryptionStatus = { enabled: false, locked: false };
+viewer.checkAutoLock();
+assert.equal(lockCount, 1, '암호가 없으면 잠그지 않는다.');
+
+assert.equal(viewer.formatCallDuration(3723), '1시간 2분');
+assert.equal(viewer.formatCallDuration(754), '12분');
+assert.equal(viewer.formatCallDuration(45), '45초');
+assert.equal(viewer.formatBytes(512), '512 B');
+assert.equal(viewer.formatBytes(1536), '1.5 KB');
+assert.equal(viewer.formatBytes(12.34 * 1024 * 1024), '12.3 MB');
+assert.equal(
+    viewer.formatImportProgress({ messages: 12345, bytesPerSecond: 8.2 * 1024 * 1024, remainingSeconds: 74.2 }),
+    '메시지 12,345개 · 8.2 MB/s · 약 1분 15초 남음'
+);
+assert.equal(viewer.formatImportProgress({ messages: 0, bytesPerSecond: 0, remainingSeconds: null }), '메시지 0개');
+
 const results = await viewer.searchMessages('<img');
 assert.equal(results.total, 1200);
 assert.equal(viewer.escapeHtml('<script>'), '&lt;script&gt;');
@@ -50,6 +77,10 @@ viewer.extractAvailableDates({
 });
 assert.equal(viewer.availableDates.has('2026-08-10'), true);
 assert.equal(viewer.dateIndexes.get('2026-08-10'), 12345);
+viewer.extractAvailableDates({
+    dates: [{ date: '2026년 8월 11일 화요일', index: 20000, timestamp: new Date(2026, 7, 11).getTime() }]
+});
+assert.equal(viewer.dateIndexes.get('2026-08-11'), 20000);
 
 viewer.availableDates = new Set(['2023-01-15', '2024-11-02']);
 viewer.renderCalendar = () => {};
@@ -67,4 +98,54 @@ assert.equal(
     false,
     '날짜를 선택해도 달력은 열린 상태를 유지해야 한다.'
 );
+const deletedChats = [];
+const checkpointStore = {
+    findCheckpoint: async file => (file.name === 'big.txt' ? { chatId: 'stopped', offset: 40, size: 100 } : null),
+    deleteChat: async chatId => deletedChats.push(chatId)
+};
+const questions = [];
+sandbox.window.confirm = question => questions.push(question) === 1;
+assert.equal((await viewer.askResume(checkpointStore, [{ name: 'big.txt' }])).chatId, 'stopped');
+assert.match(questions[0], /40%까지/);
+assert.equal(await viewer.askResume(checkpointStore, [{ name: 'big.txt' }]), null);
+assert.deepEqual(deletedChats, ['stopped'], '이어서 불러오지 않으면 남은 청크를 지워야 한다.');
+assert.equal(await viewer.askResume(checkpointStore, [{ name: 'other.txt' }]), null);
+assert.equal(await viewer.askResume(checkpointStore, [{ name: 'big.txt' }, { name: 'old.txt' }]), null, '여러 파일은 이어서 불러오지 않는다.');
+assert.equal(questions.length, 2);
+
+const tabEvents = [];
+viewer.closeCurrentChat = () => {
+    tabEvents.push('close');
+    viewer.currentChatData = null;
+};
+viewer.showStoredChat = loadChat => tabEvents.push(`open:${loadChat({ openChat: chatId => chatId })}`);
+viewer.refreshLibrary = () => {};
+viewer.renderStorage = () => {};
+viewer.currentChatData = { id: 'shared' };
+viewer.handleStorageChange({ kind: 'imported', chatId: 'other' });
+assert.deepEqual(tabEvents, [], '다른 채팅방의 변경은 보고 있는 화면을 건드리지 않는다.');
+viewer.handleStorageChange({ kind: 'imported', chatId: 'shared' });
+assert.deepEqual(tabEvents, ['open:shared'], '다른 탭이 다시 불러온 대화로 바꿔 넣으면 다시 열어야 한다.');
+
+const securityEvents = [];
+viewer.store = { encryptionStatus: async () => ({ enabled: true, locked: true }) };
+viewer.renderSecurity = status => securityEvents.push(status.locked);
+viewer.showLockScreen = () => securityEvents.push('lock');
+viewer.currentChatData = { id: 'shared' };
+viewer.handleStorageChange({ kind: 'restarted', chatId: 'shared', chat: 'reopened' });
+assert.equal(tabEvents.at(-1), 'open:reopened', '다시 시작한 저장소가 다시 연 채팅방을 보여야 한다.');
+tabEvents.length = 0;
+viewer.handleStorageChange({ kind: 'restarted', chatId: 'shared', errorName: 'LockedError' });
+await new Promise(resolve => setTimeout(resolve, 0));
+assert.deepEqual(tabEvents, [], '잠겨서 다시 열지 못한 채팅방은 잠금 화면이 내린다.');
+assert.deepEqual(securityEvents, [true, 'lock', true, 'lock'], '다시 시작한 Worker가 잠겨 있으면 잠금 화면을 보여야 한다.');
+
+const notices = [];
+viewer.showError = message => notices.push(message);
+viewer.isProcessingFile = true;
+viewer.handleStorageChange({ kind: 'migrated', reimport: [] });
+assert.deepEqual(notices, [], '모두 옮겼으면 알리지 않는다.');
+viewer.handleStorageChange({ kind: 'migrated', reimport: ['이전 버전에서 저장한 대화의 일부 메시지'] });
+assert.match(notices[0], /일부 메시지는 옮길 수 없어 지웠습니다. 원본 파일을 다시 불러와주세요/);
+
 console.log('main storage integration check passed');
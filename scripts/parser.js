@@ -3,21 +3,213 @@
  * 카카오톡에서 내보낸 채팅 데이터를 파싱하여 구조화된 데이터로 변환
  */
 
+const WEEKDAYS = ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일'];
+const PC_DATE_PREFIX = '---------------';
+// 이름에 "]"가 들어가도 되도록 시간 칸([오후 3:12])을 기준으로 나눈다
+const PC_HEADER_PATTERN = /^\[(.+?)\]\s*\[([^[\]]*\d{1,2}:\d{2}[^[\]]*)\]\s*(.*)$/;
+const SUSPICIOUS_HEADER_PATTERN = /^(?:\[.*\]\s*\[.*\]|\d{4}(?:년|\.)\s*\d{1,2}(?:월|\.)\s*\d{1,2}(?:일|\.)\s*(?:오전|오후))/;
+const MAX_DIAGNOSTIC_ITEMS = 200;
+const ENGLISH_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// 영어 알림의 이름 하나 (문장 부호 없이, 대명사로 시작하지 않는다)
+const ENGLISH_NAME = '(?!(?:i|we|you|he|she|they|it|me|us|him|her|them|everyone|everybody)\\b)[^\\s,.!?][^,.!?]*?';
+
+/**
+ * 내보내기 언어별 규칙
+ * 날짜와 시간은 언어와 관계없이 한국어 표기("2024년 5월 20일 월요일", "오후 3:12")로 정규화한다.
+ */
+const LOCALE_PROFILES = {
+    ko: {
+        title: /^(.+?)\s*님과 카카오톡 대화$/,
+        saveDate: /^저장한 날짜\s*:\s*(.*)$/,
+        date: /(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일/,
+        parseDate: ([, year, month, day]) => [year, month, day],
+        time: /^(?<meridiem>오전|오후)\s*(?<clock>\d{1,2}:\d{2})$/,
+        pm: '오후',
+        keywords: {
+            media: ['사진', '동영상', '사진 여러 장'],
+            emoticon: '이모티콘',
+            file: '파일:',
+            voice: '음성메시지'
+        },
+        // 보이스톡·페이스톡 통화 기록
+        calls: {
+            video: '페이스톡',
+            // "발신 보이스톡 12:34", "보이스톡 해요 수신"처럼 앞이나 뒤에 방향이 붙은 기록
+            directions: { 발신: 'outgoing', 수신: 'incoming' },
+            patterns: [
+                { status: 'started', pattern: /^(?<media>보이스톡|페이스톡)\s*해요\.?$/ },
+                { status: 'completed', pattern: /^(?<media>보이스톡|페이스톡)?\s*통화시간\s*(?<duration>\d{1,2}(?::\d{2}){1,2})$/ },
+                { status: 'completed', pattern: /^(?<media>보이스톡|페이스톡)\s*(?<duration>\d{1,2}(?::\d{2}){1,2})$/ },
+                { status: 'cancelled', pattern: /^(?<media>보이스톡|페이스톡)\s*취소$/ },
+                { status: 'missed', pattern: /^부재중\s*(?<media>보이스톡|페이스톡)$/ },
+                { status: 'missed', pattern: /^(?<media>보이스톡|페이스톡)\s*(?:부재중|응답\s*없음)$/ }
+            ]
+        },
+        // 카카오페이·톡캘린더 등 카드형 메시지
+        // "일정: 다음주에 보자"처럼 같은 낱말로 시작하는 평범한 메시지와 구분하려고 내보낸 카드 모양 전체를 본다:
+        // 카카오페이·톡캘린더 머리말이나, 머리말 줄(": 제목"은 있어도 된다) 뒤에 이어지는 항목 줄.
+        // 항목 줄은 종류마다 정해져 있다: 송금은 금액, 일정은 날짜, 지도는 링크, 연락처는 전화번호.
+        // 정산은 "정산하기: 총 48,000원"처럼 금액이 머리말 줄에 함께 오기도 한다.
+        // label은 첫 줄에서 떼어낼 머리말이다.
+        cards: [
+            {
+                type: 'transfer',
+                label: /^(?:카카오페이\s*)?송금/,
+                pattern: /^카카오페이\s*송금|^송금(?:\s*:[^\n]*)?\n\s*\d[\d,]*\s*원/
+            },
+            {
+                type: 'settlement',
+                label: /^(?:카카오페이\s*)?정산(?:하기|\s*요청)?/,
+                pattern: /^카카오페이\s*정산|^정산(?:하기|\s*요청)?(?:\s*:|\s*\n)[\s\S]*?\d[\d,]*\s*원/
+            },
+            { type: 'poll', label: /^투표/, pattern: /^투표(?:\s*:[^\n]*)?\n\s*\S/ },
+            {
+                type: 'event',
+                label: /^(?:톡캘린더\s*)?일정/,
+                pattern: /^톡캘린더\s*일정|^일정(?:\s*:[^\n]*)?\n\s*\d{4}\s*[년./-]/
+            },
+            { type: 'notice', label: /^공지(?:사항)?/, pattern: /^공지(?:사항)?(?:\s*:[^\n]*)?\n\s*\S/ },
+            { type: 'map', label: /^(?:지도|위치)/, pattern: /^(?:지도|위치)(?:\s*:[^\n]*)?\n\s*https?:\/\/\S*map/ },
+            { type: 'contact', label: /^연락처/, pattern: /^연락처(?:\s*:[^\n]*)?\n\s*0\d{1,2}-?\d{3,4}-?\d{4}/ }
+        ],
+        nameSeparator: /님,\s*/,
+        systemEvents: [
+            { event: 'invite', pattern: /^(?<actor>.+?)님이 (?<targets>.+?)님을 초대했습니다\.?$/ },
+            { event: 'join', pattern: /^(?<targets>.+?)님이 들어왔습니다\.?$/ },
+            { event: 'leave', pattern: /^(?<targets>.+?)님이 나갔습니다\.?$/ },
+            { event: 'kick', pattern: /^(?<targets>.+?)님을 내보냈습니다\.?$/ },
+            { event: 'host', pattern: /^(?<targets>.+?)님이 방장이 되었습니다\.?$/ },
+            { event: 'host', pattern: /^방장이 (?<targets>.+?)님으로 변경되었습니다\.?$/ },
+            {
+                event: 'profile',
+                pattern: /^'?(?<actor>.+?)'?님이 '?(?<targets>.+?)'?(?:\(으\))?로 (?:프로필|닉네임)을 변경했습니다\.?$/
+            },
+            { event: 'hide', pattern: /^(?:(?<actor>.+?)(?:님이|가) )?메시지를 가렸습니다\.?$/ },
+            { event: 'hide', pattern: /^(?:메시지가 가려졌습니다|가려진 메시지입니다)\.?$/, inMessage: true },
+            { event: 'delete', pattern: /^삭제된 메시지입니다\.?$/, inMessage: true },
+            { event: 'open', pattern: /^(?:(?<actor>.+?)님이 )?대화방을 개설했습니다\.?$/ }
+        ]
+    },
+    en: {
+        title: /^(?:KakaoTalk Chats with\s+(.+)|(Talk_\d{4}\.\d{1,2}\.\d{1,2}.*))$/,
+        saveDate: /^(?:Date Saved|Saved on)\s*:\s*(.*)$/,
+        date: /([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),\s*(\d{4})/,
+        parseDate: ([, month, day, year]) => [year, ENGLISH_MONTHS.indexOf(month.toLowerCase()) + 1, day],
+        time: /^(?<clock>\d{1,2}:\d{2})\s*(?<meridiem>AM|PM)$/i,
+        pm: 'PM',
+        keywords: {
+            media: ['Photo', 'Photos', 'Video'],
+            emoticon: 'Emoticon',
+            file: 'File:',
+            voice: 'Voice Message'
+        },
+        calls: { video: '', patterns: [] },
+        cards: [],
+        nameSeparator: /,\s*(?:and\s+)?|\s+and\s+/,
+        systemEvents: [
+            // "invited"는 평범한 문장에도 나오므로 마침표로 끝나는 이름 목록만 (대명사는 이름이 아니다)
+            {
+                event: 'invite',
+                pattern: new RegExp(
+                    `^(?<actor>${ENGLISH_NAME}) invited (?<targets>${ENGLISH_NAME}(?:(?:,\\s*(?:and\\s+)?|\\s+and\\s+)${ENGLISH_NAME})*)\\.$`,
+                    'i'
+                )
+            },
+            { event: 'join', pattern: /^(?<targets>.+?) joined this chatroom\.?$/ },
+            { event: 'leave', pattern: /^(?<targets>.+?) left this chatroom\.?$/ },
+            { event: 'delete', pattern: /^This message has been deleted\.?$/, inMessage: true },
+            { event: 'open', pattern: /^(?:(?<actor>.+?) )?created this chatroom\.?$/ }
+        ]
+    },
+    ja: {
+        title: /^(.+?)\s*とのトーク履歴$/,
+        saveDate: /^保存日時\s*[:：]\s*(.*)$/,
+        date: /(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日/,
+        parseDate: ([, year, month, day]) => [year, month, day],
+        time: /^(?<meridiem>午前|午後)\s*(?<clock>\d{1,2}:\d{2})$/,
+        pm: '午後',
+        keywords: {
+            media: ['写真', '動画', '写真(複数)'],
+            emoticon: 'スタンプ',
+            file: 'ファイル:',
+            voice: 'ボイスメッセージ'
+        },
+        calls: { video: '', patterns: [] },
+        cards: [],
+        nameSeparator: /(?:さん)?、/,
+        systemEvents: [
+            { event: 'invite', pattern: /^(?<actor>.+?)(?:さん)?が(?<targets>.+?)(?:さん)?を招待しました。?$/ },
+            { event: 'join', pattern: /^(?<targets>.+?)(?:さん)?が参加しました。?$/ },
+            { event: 'leave', pattern: /^(?<targets>.+?)(?:さん)?が退出しました。?$/ },
+            { event: 'delete', pattern: /^削除されたメッセージです。?$/, inMessage: true },
+            { event: 'open', pattern: /^(?:(?<actor>.+?)(?:さん)?が)?トークルームを作成しました。?$/ }
+        ]
+    }
+};
+
 class KakaoTalkStreamParser {
     constructor(onEntry = () => {}) {
         this.onEntry = onEntry;
         this.buffer = '';
+        this.format = null; // 'pc' 또는 'mobile', 첫 메시지/날짜 줄에서 결정
+        this.locale = null; // LOCALE_PROFILES 키, 제목·저장 날짜·첫 메시지에서 결정
         this.currentDate = '';
+        this.currentDay = null; // [년, 월, 일], 타임스탬프 계산용
+        this.dayOffset = 0; // 날짜 줄 없이 자정을 넘긴 횟수
+        this.lastMinutes = -1;
+        this.lastTimestamp = null;
         this.currentMessage = null;
         this.finished = false;
+        this.lineNumber = 0;
         this.metadata = {
             title: '',
             saveDate: '',
             totalEntries: 0,
-            totalMessages: 0
+            totalMessages: 0,
+            diagnostics: {
+                total: 0,
+                counts: { orphan: 0, suspiciousHeader: 0, unknownDate: 0 },
+                items: [] // 앞에서부터 최대 MAX_DIAGNOSTIC_ITEMS개
+            }
         };
     }
 
+    /**
+     * 파일 앞부분 바이트로 문자 인코딩 추정
+     * BOM을 우선하고, 없으면 UTF-16 특유의 0 바이트 분포와 UTF-8 유효성으로 판단한다.
+     * @param {Uint8Array} bytes - 파일 앞부분
+     * @returns {string} TextDecoder 라벨 ('utf-8', 'utf-16le', 'utf-16be', 'euc-kr')
+     */
+    static detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let index = 0; index < bytes.length; index++) {
+            if (bytes[index] !== 0) continue;
+            if (index % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+        const pairs = bytes.length / 2;
+        if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+        if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+
+        try {
+            // stream 모드라 표본 끝에서 잘린 글자는 오류로 보지 않는다
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            if (error.name !== 'TypeError') throw error;
+            return 'euc-kr';
+        }
+    }
+
+    get profile() {
+        return LOCALE_PROFILES[this.locale || 'ko'];
+    }
+
     pushChunk(text) {
         if (this.finished) {
             throw new Error('이미 완료된 채팅 파일에는 데이터를 추가할 수 없습니다.');
@@ -28,6 +220,25 @@ class KakaoTalkStreamParser {
         lines.forEach(line => this.consumeLine(line));
     }
 
+    /**
+     * 이어서 파싱할 수 있도록 현재 상태 복사 (onEntry 제외, JSON으로 저장할 수 있다)
+     * @returns {Object} restore()에 넘길 상태
+     */
+    snapshot() {
+        const { onEntry, ...state } = this;
+        return structuredClone(state);
+    }
+
+    /**
+     * snapshot()으로 저장한 상태에서 다시 시작
+     * @param {Object} state - snapshot() 결과
+     * @returns {KakaoTalkStreamParser} this
+     */
+    restore(state) {
+        Object.assign(this, structuredClone(state));
+        return this;
+    }
+
     finish() {
         if (this.finished) return this.metadata;
         if (this.buffer) this.consumeLine(this.buffer);
@@ -39,6 +250,7 @@ class KakaoTalkStreamParser {
 
     consumeLine(rawLine) {
         const line = rawLine.trim();
+        this.lineNumber++;
 
         if (!line) {
             if (this.currentMessage) {
@@ -48,48 +260,279 @@ class KakaoTalkStreamParser {
             return;
         }
 
-        const messageMatch = line.match(/^\[([^\]]+)\]\s*\[([^\]]+)\]\s*(.*)$/);
-
-        if (line.includes('님과 카카오톡 대화')) {
-            this.flushMessage();
-            this.metadata.title = line.replace(' 님과 카카오톡 대화', '');
-            return;
-        }
+        // 제목과 저장 날짜는 첫 대화 줄보다 앞에만 나온다
+        if (!this.format && this.consumeHeaderLine(line)) return;
 
-        if (line.startsWith('저장한 날짜 :')) {
-            this.flushMessage();
-            this.metadata.saveDate = line.replace(/^저장한 날짜\s*:\s*/, '');
-            return;
+        if (!this.locale) this.locale = this.detectLocale(line);
+        if (!this.format) {
+            this.format = this.detectFormat(line);
+            // 모바일 형식은 한국어 내보내기만 지원한다
+            if (this.format === 'mobile') this.locale ||= 'ko';
         }
+        const parsed = this.format === 'mobile' ? this.parseMobileLine(line) : this.parsePcLine(line);
 
-        if (line.startsWith('---------------') && line.includes('년') && line.includes('월')) {
+        if (parsed?.type === 'date') {
             this.flushMessage();
-            this.currentDate = this.extractDate(line);
-            this.emit({ type: 'date', date: this.currentDate, raw: line });
+            this.startDate(parsed.date, line);
             return;
         }
 
-        if (messageMatch) {
+        if (parsed?.type === 'message') {
             this.flushMessage();
-            const [, sender, time, content] = messageMatch;
-            const trimmedContent = content.trim();
-            this.currentMessage = {
+            if (parsed.date && parsed.date !== this.currentDate) this.startDate(parsed.date, line);
+            const trimmedContent = parsed.content.trim();
+            const time = this.normalizeTime(parsed.time.trim());
+            const systemEvent = this.parseSystemEvent(trimmedContent, { inMessage: Boolean(parsed.sender.trim()) });
+            // 발신자가 없는 모바일 줄은 알 수 없는 문구라도 시스템 알림이다
+            if (systemEvent || !parsed.sender.trim()) {
+                this.emitSystem(systemEvent, parsed.sender.trim(), time, trimmedContent, line);
+                return;
+            }
+            this.currentMessage = this.classify({
                 type: 'message',
-                sender: sender.trim(),
-                time: time.trim(),
+                sender: parsed.sender.trim(),
+                time,
+                timestamp: this.timestampFor(time),
                 content: trimmedContent,
                 date: this.currentDate,
-                messageType: this.detectMessageType(trimmedContent),
                 raw: line
-            };
+            });
+            return;
+        }
+
+        // PC 내보내기의 입장/퇴장 알림은 머리말 없이 한 줄로 나온다.
+        // 알림 문구 전체와 맞지 않는 줄은 앞 메시지에 이어지는 줄이다.
+        const systemEvent = this.parseSystemEvent(line);
+        if (systemEvent) {
+            this.flushMessage();
+            this.emitSystem(systemEvent, '', '', line, line);
             return;
         }
 
+        if (line.startsWith(PC_DATE_PREFIX)) this.report('unknownDate', line);
+        else if (SUSPICIOUS_HEADER_PATTERN.test(line)) this.report('suspiciousHeader', line);
+
         if (this.currentMessage) {
             this.currentMessage.content += '\n' + line;
             this.currentMessage.raw += '\n' + line;
-            this.currentMessage.messageType = this.detectMessageType(this.currentMessage.content);
+            this.classify(this.currentMessage);
+        } else {
+            // 첫 메시지 앞이나 시스템 알림 뒤에 붙을 곳 없는 줄
+            this.report('orphan', line);
+        }
+    }
+
+    /**
+     * 인식하지 못한 줄 기록
+     * 다음에 방출될 항목 인덱스를 함께 남겨 화면에서 해당 위치로 이동할 수 있게 한다.
+     * @param {string} kind - 'orphan', 'suspiciousHeader', 'unknownDate'
+     * @param {string} line - 원본 줄
+     */
+    report(kind, line) {
+        const { diagnostics } = this.metadata;
+        diagnostics.total++;
+        diagnostics.counts[kind]++;
+        if (diagnostics.items.length < MAX_DIAGNOSTIC_ITEMS) {
+            diagnostics.items.push({
+                kind,
+                line: this.lineNumber,
+                index: this.metadata.totalEntries,
+                text: line.slice(0, 120)
+            });
+        }
+    }
+
+    /**
+     * 시스템 알림 문구 해석
+     * 발신자가 있는 줄의 내용은 사용자가 쓴 문장일 수 있으므로 메시지 자리에 대신 나오는
+     * 고정 문구(삭제·가리기, inMessage)만 알림으로 본다.
+     * @param {string} content - 알림 문구 전체 (예: "A님이 B님, C님을 초대했습니다.")
+     * @param {Object} [options]
+     * @param {boolean} [options.inMessage] - 발신자가 있는 메시지 내용인지
+     * @returns {{event: string, actor: string, participants: string[]}|null} 알림이 아니면 null
+     */
+    parseSystemEvent(content, { inMessage = false } = {}) {
+        for (const { event, pattern, inMessage: allowedInMessage } of this.profile.systemEvents) {
+            if (inMessage && !allowedInMessage) continue;
+            const match = content.match(pattern);
+            if (!match) continue;
+            const { actor = '', targets = '' } = match.groups || {};
+            return {
+                event,
+                actor: actor.trim(),
+                participants: targets
+                    .split(this.profile.nameSeparator)
+                    .map(name => name.trim())
+                    .filter(Boolean)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 시스템 알림 항목 방출
+     * 시간이 없는 알림은 직전 항목의 시각을 이어받는다.
+     * @param {Object|null} systemEvent - parseSystemEvent 결과, 알 수 없는 알림이면 null
+     * @param {string} sender - 머리말의 이름 (삭제·가리기 알림의 당사자)
+     * @param {string} time - 정규화된 시간 또는 빈 문자열
+     * @param {string} content - 알림 문구
+     * @param {string} raw - 원본 줄
+     */
+    emitSystem(systemEvent, sender, time, content, raw) {
+        const { event = 'notice', actor = '', participants = [] } = systemEvent || {};
+        this.emit({
+            type: 'system',
+            event,
+            actor: actor || sender,
+            participants: participants.length === 0 && sender ? [sender] : participants,
+            time,
+            timestamp: time ? this.timestampFor(time) : this.lastTimestamp,
+            content,
+            date: this.currentDate,
+            raw
+        });
+    }
+
+    /**
+     * 제목·저장 날짜 줄 처리
+     * @param {string} line - 공백을 제거한 줄
+     * @returns {boolean} 머리말 줄이면 true
+     */
+    consumeHeaderLine(line) {
+        for (const [locale, profile] of Object.entries(LOCALE_PROFILES)) {
+            const titleMatch = line.match(profile.title);
+            if (titleMatch) {
+                this.locale = locale;
+                this.metadata.title = (titleMatch[1] || titleMatch[2]).trim();
+                return true;
+            }
+
+            const saveDateMatch = line.match(profile.saveDate);
+            if (saveDateMatch) {
+                this.locale ||= locale;
+                this.metadata.saveDate = saveDateMatch[1];
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 내보내기 언어 감지
+     * @param {string} line - 공백을 제거한 줄
+     * @returns {string|null} LOCALE_PROFILES 키 또는 판단할 수 없으면 null
+     */
+    detectLocale(line) {
+        const header = line.match(PC_HEADER_PATTERN);
+        const locale = Object.keys(LOCALE_PROFILES).find(name => {
+            const profile = LOCALE_PROFILES[name];
+            if (header) return profile.time.test(header[2].trim());
+            return line.startsWith(PC_DATE_PREFIX) && profile.date.test(line);
+        });
+        return locale || null;
+    }
+
+    /**
+     * 내보내기 형식 감지
+     * PC는 "[이름] [오후 3:12] 내용", 모바일은 "2024년 5월 20일 오후 3:12, 이름 : 내용" 형태
+     * @param {string} line - 공백을 제거한 줄
+     * @returns {string|null} 'pc', 'mobile' 또는 판단할 수 없으면 null
+     */
+    detectFormat(line) {
+        if (this.parsePcLine(line)) return 'pc';
+        if (this.parseMobileLine(line)) return 'mobile';
+        return null;
+    }
+
+    parsePcLine(line) {
+        if (line.startsWith(PC_DATE_PREFIX) && this.profile.date.test(line)) {
+            return { type: 'date', date: this.extractDate(line) };
+        }
+
+        const messageMatch = line.match(PC_HEADER_PATTERN);
+        if (!messageMatch) return null;
+        const [, sender, time, content] = messageMatch;
+        return { type: 'message', sender, time, content };
+    }
+
+    parseMobileLine(line) {
+        // Android: "2024년 5월 20일 오후 3:12, 홍길동 : 내용", iOS: "2024. 5. 20. 오후 3:12, 홍길동 : 내용"
+        const messageMatch = line.match(
+            /^(\d{4})(?:년|\.)\s*(\d{1,2})(?:월|\.)\s*(\d{1,2})(?:일|\.)\s*(오전|오후)\s*(\d{1,2}:\d{2}),\s*(.*)$/
+        );
+        if (messageMatch) {
+            const [, year, month, day, meridiem, clock, rest] = messageMatch;
+            const separator = rest.indexOf(' : ');
+            // 구분자가 없으면 입장/퇴장 같은 시스템 줄이다
+            return {
+                type: 'message',
+                sender: separator === -1 ? '' : rest.slice(0, separator),
+                time: `${meridiem} ${clock}`,
+                content: separator === -1 ? rest : rest.slice(separator + 3),
+                date: this.formatDate(year, month, day)
+            };
         }
+
+        // 날짜 줄: "2024년 5월 20일 월요일" 또는 "2024년 5월 20일 오후 3:12"
+        const dateMatch = line.match(
+            /^(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일(?:\s*\S+요일)?(?:\s*(?:오전|오후)\s*\d{1,2}:\d{2})?$/
+        );
+        if (!dateMatch) return null;
+        const [, year, month, day] = dateMatch;
+        return { type: 'date', date: this.formatDate(year, month, day) };
+    }
+
+    startDate(date, raw) {
+        const dateMatch = date.match(/^(\d{4})년 (\d{1,2})월 (\d{1,2})일/);
+        this.currentDate = date;
+        this.currentDay = dateMatch ? dateMatch.slice(1).map(Number) : null;
+        this.dayOffset = 0;
+        this.lastMinutes = -1;
+        const timestamp = this.currentDay
+            ? new Date(this.currentDay[0], this.currentDay[1] - 1, this.currentDay[2]).getTime()
+            : null;
+        this.lastTimestamp = timestamp;
+        this.emit({ type: 'date', date, timestamp, raw });
+    }
+
+    /**
+     * 현재 날짜와 "오후 3:12" 형태의 시간으로 epoch 밀리초 계산
+     * 같은 날짜 안에서 시간이 거꾸로 가면 날짜 줄 없이 자정을 넘긴 것으로 본다.
+     * @param {string} time - 정규화된 시간
+     * @returns {number|null} 로컬 시간 기준 타임스탬프, 계산할 수 없으면 null
+     */
+    timestampFor(time) {
+        const match = time.match(/^(오전|오후)\s*(\d{1,2}):(\d{2})$/);
+        if (!this.currentDay || !match) return null;
+
+        const [, meridiem, hour, minute] = match;
+        // 오전 12시는 0시, 오후 12시는 12시
+        const minutes = (Number(hour) % 12 + (meridiem === '오후' ? 12 : 0)) * 60 + Number(minute);
+        if (minutes < this.lastMinutes) this.dayOffset++;
+        this.lastMinutes = minutes;
+
+        const [year, month, day] = this.currentDay;
+        this.lastTimestamp = new Date(
+            year, month - 1, day + this.dayOffset, Math.floor(minutes / 60), minutes % 60
+        ).getTime();
+        return this.lastTimestamp;
+    }
+
+    formatDate(year, month, day) {
+        const weekday = WEEKDAYS[new Date(Number(year), Number(month) - 1, Number(day)).getDay()];
+        return `${Number(year)}년 ${Number(month)}월 ${Number(day)}일 ${weekday}`;
+    }
+
+    /**
+     * 언어별 시간 표기를 "오후 3:12" 형태로 변환
+     * @param {string} time - 원본 시간 (예: "3:12 PM", "午後 3:12")
+     * @returns {string} 정규화된 시간, 알 수 없는 형식이면 원본
+     */
+    normalizeTime(time) {
+        const match = time.match(this.profile.time);
+        if (!match) return time;
+        const { meridiem, clock } = match.groups;
+        return `${meridiem.toUpperCase() === this.profile.pm ? '오후' : '오전'} ${clock}`;
     }
 
     flushMessage() {
@@ -106,26 +549,362 @@ class KakaoTalkStreamParser {
     }
 
     extractDate(line) {
-        const dateMatch = line.match(/(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일\s*(\S+)/);
+        const dateMatch = line.match(this.profile.date);
         if (!dateMatch) return line;
-        const [, year, month, day, dayOfWeek] = dateMatch;
-        return `${year}년 ${month}월 ${day}일 ${dayOfWeek}`;
+        const [year, month, day] = this.profile.parseDate(dateMatch);
+        return this.formatDate(year, month, day);
+    }
+
+    /**
+     * 메시지 종류와 카드 정보 설정
+     * @param {Object} message - 메시지 항목
+     * @returns {Object} 같은 메시지 항목
+     */
+    classify(message) {
+        message.messageType = this.detectMessageType(message.content);
+        const card = this.parseCard(message.messageType, message.content);
+        if (card) message.card = card;
+        else delete message.card;
+        const call = message.messageType === 'call' ? this.parseCall(message.content) : null;
+        if (call) message.call = call;
+        else delete message.call;
+        return message;
+    }
+
+    /**
+     * 통화 기록 해석
+     * 방향은 보낸 사람 기준이다. "발신"·"수신"이 적혀 있으면 그대로 쓰고, 없으면 보낸 사람이 건 통화로 본다.
+     * 나를 기준으로 한 방향은 화면에서 정한다.
+     * @param {string} content - 메시지 내용 (예: "보이스톡 해요", "통화시간 12:34", "수신 보이스톡 1:05")
+     * @returns {{media: string, status: string, direction: string, duration: number|null}|null}
+     *   direction은 'outgoing' 또는 'incoming', 통화 기록이 아니면 null
+     */
+    parseCall(content) {
+        const { video, directions = {}, patterns } = this.profile.calls;
+        let text = content.trim();
+        let direction = 'outgoing';
+        for (const [word, value] of Object.entries(directions)) {
+            if (text.startsWith(word)) text = text.slice(word.length).trimStart();
+            else if (text.endsWith(word)) text = text.slice(0, -word.length).trimEnd();
+            else continue;
+            direction = value;
+            break;
+        }
+        for (const { status, pattern } of patterns) {
+            const match = text.match(pattern);
+            if (!match) continue;
+            const { media, duration } = match.groups;
+            return {
+                media: media && media === video ? 'video' : 'voice',
+                status,
+                direction,
+                // "12:34"는 분:초, "1:02:03"은 시:분:초
+                duration: duration
+                    ? duration.split(':').reduce((seconds, part) => seconds * 60 + Number(part), 0)
+                    : null
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 카드형 메시지에서 보이는 정보 추출
+     * @param {string} type - detectMessageType 결과
+     * @param {string} content - 메시지 내용
+     * @returns {Object|null} 금액·제목·일시·장소·연락처 등, 카드가 아니면 null
+     */
+    parseCard(type, content) {
+        const rule = this.profile.cards.find(card => card.type === type);
+        if (!rule) return null;
+
+        const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+        const heading = lines[0].replace(rule.label, '').replace(/^[:\s]+/, '').trim();
+        const title = heading || lines[1] || '';
+        const amount = content.match(/([\d,]+)\s*원/);
+        const eventDate = content.match(
+            /\d{4}\s*[년./-]\s*\d{1,2}\s*[월./-]\s*\d{1,2}일?(?:\s*\([^)]*\))?(?:\s*(?:오전|오후)?\s*\d{1,2}:\d{2})?/
+        );
+        const phone = content.match(/0\d{1,2}-?\d{3,4}-?\d{4}/);
+
+        switch (type) {
+            case 'transfer':
+            case 'settlement':
+                return { amount: amount ? Number(amount[1].replace(/,/g, '')) : null };
+            case 'poll':
+            case 'notice':
+                return { title };
+            case 'event':
+                return { title, eventDate: eventDate ? eventDate[0].trim() : '' };
+            case 'map':
+                return { place: title };
+            case 'contact':
+                return { name: heading || '', phone: phone ? phone[0] : '' };
+            default:
+                return null;
+        }
     }
 
     detectMessageType(content) {
+        const { media, emoticon, file, voice } = this.profile.keywords;
         if (!content) return 'empty';
-        if (content === '사진' || content === '동영상' || content === '사진 여러 장') return 'media';
-        if (content === '이모티콘' || content.startsWith('이모티콘:')) return 'emoticon';
+        if (this.parseCall(content)) return 'call';
+        const card = this.profile.cards.find(rule => rule.pattern.test(content));
+        if (card) return card.type;
+        if (media.includes(content)) return 'media';
+        if (content === emoticon || content.startsWith(`${emoticon}:`)) return 'emoticon';
         if (content.includes('http://') || content.includes('https://')) return 'link';
-        if (content.includes('파일:') || content.match(/\.(pdf|doc|docx|xls|xlsx|ppt|pptx|txt|zip|rar)$/i)) return 'file';
-        if (content === '음성메시지' || content.includes('음성메시지')) return 'voice';
-        if (content.includes('님이 들어왔습니다') ||
-            content.includes('님이 나갔습니다') ||
-            content.includes('대화방을 개설했습니다')) return 'system';
+        if (content.includes(file) || content.match(/\.(pdf|doc|docx|xls|xlsx|ppt|pptx|txt|zip|rar)$/i)) return 'file';
+        if (content.includes(voice)) return 'voice';
         return 'text';
     }
 }
 
+/**
+ * macOS 카카오톡 CSV(Date,User,Message) 스트리밍 파서
+ * 따옴표 안의 줄바꿈이 청크 경계에 걸려도 같은 항목 모델로 변환한다.
+ */
+class KakaoTalkCsvStreamParser extends KakaoTalkStreamParser {
+    constructor(onEntry = () => {}, { title = '' } = {}) {
+        super(onEntry);
+        this.format = 'csv';
+        this.locale = 'ko';
+        this.metadata.title = title;
+        this.field = '';
+        this.row = [];
+        this.inQuotes = false;
+        this.closedQuote = false; // 직전 문자가 닫는 따옴표면 다음 따옴표는 이스케이프("")
+        this.headerSeen = false;
+    }
+
+    /**
+     * CSV 내보내기 파일인지 첫 줄로 판단
+     * @param {string} text - 파일 앞부분
+     * @returns {boolean} CSV 머리글이면 true
+     */
+    static matches(text) {
+        const firstLine = text.split('\n', 1)[0].replace(/^\uFEFF/, '').trim();
+        return /^"?Date"?,"?User"?,"?Message"?$/.test(firstLine);
+    }
+
+    pushChunk(text) {
+        if (this.finished) {
+            throw new Error('이미 완료된 채팅 파일에는 데이터를 추가할 수 없습니다.');
+        }
+
+        let start = 0;
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (this.inQuotes) {
+                if (char === '"') {
+                    this.field += text.slice(start, index);
+                    start = index + 1;
+                    this.inQuotes = false;
+                    this.closedQuote = true;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.field += text.slice(start, index) + (this.closedQuote ? '"' : '');
+                start = index + 1;
+                this.inQuotes = true;
+            } else if (char === ',' || char === '\n' || char === '\r') {
+                this.field += text.slice(start, index);
+                start = index + 1;
+                if (char === ',') this.endField();
+                else if (char === '\n') this.endRow();
+            }
+            this.closedQuote = false;
+        }
+        this.field += text.slice(start);
+    }
+
+    finish() {
+        if (this.finished) return this.metadata;
+        if (this.field || this.row.length > 0) this.endRow();
+        this.finished = true;
+        return this.metadata;
+    }
+
+    endField() {
+        this.row.push(this.field);
+        this.field = '';
+    }
+
+    endRow() {
+        this.endField();
+        const row = this.row;
+        this.row = [];
+        this.lineNumber++; // CSV는 행 번호
+        if (row.length === 1 && !row[0]) return;
+        if (!this.headerSeen) {
+            this.headerSeen = true;
+            if (row[0].replace(/^\uFEFF/, '') === 'Date') return;
+        }
+        this.consumeRow(row);
+    }
+
+    consumeRow(row) {
+        const [dateTime, sender = '', ...messageParts] = row;
+        const match = dateTime.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})(?::\d{2})?$/);
+        if (!match) {
+            this.report('unknownDate', row.join(','));
+            return;
+        }
+
+        const [, year, month, day, hour, minute] = match;
+        const date = this.formatDate(year, month, day);
+        if (date !== this.currentDate) this.startDate(date, dateTime);
+
+        const content = messageParts.join(',').replace(/\r\n/g, '\n').trim();
+        const time = this.formatClock(Number(hour), minute);
+        const systemEvent = this.parseSystemEvent(content, { inMessage: Boolean(sender.trim()) });
+        if (systemEvent || !sender.trim()) {
+            this.emitSystem(systemEvent, sender.trim(), time, content, row.join(','));
+            return;
+        }
+        this.emit(this.classify({
+            type: 'message',
+            sender: sender.trim(),
+            time,
+            timestamp: this.timestampFor(time),
+            content,
+            date,
+            raw: row.join(',')
+        }));
+    }
+
+    /**
+     * 24시간 표기를 "오후 3:12" 형태로 변환
+     * @param {number} hour - 0~23시
+     * @param {string} minute - 두 자리 분
+     * @returns {string} 변환된 시간
+     */
+    formatClock(hour, minute) {
+        const meridiem = hour < 12 ? '오전' : '오후';
+        return `${meridiem} ${hour % 12 || 12}:${minute}`;
+    }
+}
+
+/**
+ * 같은 채팅방을 여러 번 내보낸 파일을 하나의 타임라인으로 합치는 도우미
+ * 파일은 시작 시각 순으로 넣는다고 가정한다. 각 파일은 빠짐없는 연속 기록이므로
+ * 앞 파일의 마지막 시각 이전 항목은 이미 저장된 것으로 보고 버리며,
+ * 같은 분(minute)에 겹친 항목만 보낸 사람과 내용으로 맞춰 본다.
+ */
+class KakaoTalkTimelineMerger {
+    constructor(onEntry = () => {}) {
+        this.onEntry = onEntry;
+        this.nextIndex = 0;
+        this.tail = { timestamp: null, keys: new Map() }; // 마지막 분에 저장한 항목
+        this.overlap = null;
+        this.keeping = true;
+        this.current = null;
+        this.files = [];
+    }
+
+    /**
+     * 다음 파일 시작
+     * @param {string} name - 파일 이름 (보고용)
+     */
+    beginFile(name) {
+        this.overlap = this.tail.timestamp === null
+            ? null
+            : { timestamp: this.tail.timestamp, keys: new Map(this.tail.keys) };
+        this.keeping = true;
+        this.current = { name, messages: 0, duplicates: 0 };
+        this.files.push(this.current);
+    }
+
+    /**
+     * 파서가 방출한 항목을 받아 겹치지 않으면 새 인덱스로 넘긴다
+     * @param {Object} entry - 파서 항목
+     * @returns {boolean} 저장했으면 true
+     */
+    push(entry) {
+        this.keeping = this.shouldKeep(entry);
+        if (!this.keeping) {
+            if (entry.type === 'message') this.current.duplicates++;
+            return false;
+        }
+
+        this.remember(entry);
+        if (entry.type === 'message') this.current.messages++;
+        entry.index = this.nextIndex++;
+        this.onEntry(entry);
+        return true;
+    }
+
+    /**
+     * 이미 저장된 타임라인 뒤에 이어 붙이기
+     * @param {number} nextIndex - 저장된 항목 수
+     * @param {Array} tailEntries - 저장된 마지막 분의 항목 (순서대로)
+     */
+    resume(nextIndex, tailEntries) {
+        this.nextIndex = nextIndex;
+        tailEntries.forEach(entry => this.remember(entry));
+    }
+
+    /**
+     * 이어서 합칠 수 있도록 현재 상태 복사 (Map은 배열로 바꿔 JSON으로 저장할 수 있게 한다)
+     * @returns {Object} restore()에 넘길 상태
+     */
+    snapshot() {
+        const window = part => part && { timestamp: part.timestamp, keys: [...part.keys] };
+        return structuredClone({
+            nextIndex: this.nextIndex,
+            tail: window(this.tail),
+            overlap: window(this.overlap),
+            keeping: this.keeping,
+            files: this.files
+        });
+    }
+
+    /**
+     * snapshot()으로 저장한 상태에서 다시 시작 (마지막 파일을 이어서 읽는다)
+     * @param {Object} state - snapshot() 결과
+     */
+    restore(state) {
+        const window = part => part && { timestamp: part.timestamp, keys: new Map(part.keys) };
+        this.nextIndex = state.nextIndex;
+        this.tail = window(state.tail);
+        this.overlap = window(state.overlap);
+        this.keeping = state.keeping;
+        this.files = structuredClone(state.files);
+        this.current = this.files.at(-1) ?? null;
+    }
+
+    remember(entry) {
+        const key = this.keyOf(entry);
+        if (entry.timestamp != null && entry.timestamp !== this.tail.timestamp) {
+            this.tail = { timestamp: entry.timestamp, keys: new Map() };
+        }
+        this.tail.keys.set(key, (this.tail.keys.get(key) || 0) + 1);
+    }
+
+    shouldKeep(entry) {
+        if (!this.overlap) return true;
+        // 시각이 없는 항목은 바로 앞 항목과 운명을 같이한다
+        if (entry.timestamp == null) return this.keeping;
+        if (entry.timestamp < this.overlap.timestamp) return false;
+        if (entry.timestamp > this.overlap.timestamp) {
+            this.overlap = null;
+            return true;
+        }
+
+        const key = this.keyOf(entry);
+        const remaining = this.overlap.keys.get(key) || 0;
+        if (remaining === 0) return true;
+        this.overlap.keys.set(key, remaining - 1);
+        return false;
+    }
+
+    keyOf(entry) {
+        if (entry.type === 'date') return `date|${entry.date}`;
+        return `${entry.type}|${entry.sender || ''}|${entry.content || ''}`;
+    }
+}
+
 class KakaoTalkParser {
     constructor() {
         this.chatData = {
@@ -246,4 +1025,6 @@ class KakaoTalkParser {
 
 // 전역으로 클래스 내보내기
 globalThis.KakaoTalkStreamParser = KakaoTalkStreamParser;
+globalThis.KakaoTalkCsvStreamParser = KakaoTalkCsvStreamParser;
+globalThis.KakaoTalkTimelineMerger = KakaoTalkTimelineMerger;
 globalThis.KakaoTalkParser = KakaoTalkParser;
@@ -2,7 +2,7 @@ import assert from 'node:assert/strict';
 import fs from 'node:fs';
 import vm from 'node:vm';
 
-const sandbox = {};
+const sandbox = { TextDecoder, structuredClone };
 vm.runInNewContext(fs.readFileSync(new URL('parser.js', import.meta.url), 'utf8'), sandbox);
 
 const entries = [];
@@ -21,6 +21,315 @@ assert.equal(entries[0].type, 'date');
 assert.equal(entries[1].index, 1);
 assert.equal(entries[1].content, '첫 줄\n둘째 줄\n');
 assert.equal(entries[2].content, '다음 메시지');
+assert.equal(entries[0].timestamp, new Date(2026, 7, 10).getTime());
+assert.equal(entries[1].timestamp, new Date(2026, 7, 10, 13, 0).getTime());
+
+const rolloverEntries = [];
+const rolloverParser = new sandbox.KakaoTalkStreamParser(entry => rolloverEntries.push(entry));
+rolloverParser.pushChunk('--------------- 2024년 12월 31일 화요일 ---------------\n');
+rolloverParser.pushChunk('[철수] [오전 12:05] 자정 직후\n[철수] [오후 12:30] 정오 직후\n');
+rolloverParser.pushChunk('[철수] [오후 11:59] 자정 직전\n[영희] [오전 12:01] 날짜 줄 없는 새해');
+rolloverParser.finish();
+assert.equal(rolloverEntries[1].timestamp, new Date(2024, 11, 31, 0, 5).getTime());
+assert.equal(rolloverEntries[2].timestamp, new Date(2024, 11, 31, 12, 30).getTime());
+assert.equal(rolloverEntries[3].timestamp, new Date(2024, 11, 31, 23, 59).getTime());
+assert.equal(rolloverEntries[4].timestamp, new Date(2025, 0, 1, 0, 1).getTime(), '자정을 넘기면 다음 날이어야 한다.');
+
+
+const mobileEntries = [];
+const mobileParser = new sandbox.KakaoTalkStreamParser(entry => mobileEntries.push(entry));
+mobileParser.pushChunk('홍길동 님과 카카오톡 대화\n저장한 날짜 : 2024년 5월 21일 오전 9:00\n\n');
+mobileParser.pushChunk('2024년 5월 20일 오후 3:10\n2024년 5월 20일 오후 3:12, 홍길동 : 안녕\n둘째 줄\n');
+mobileParser.pushChunk('2024년 5월 20일 오후 3:13, 철수님이 들어왔습니다.\n');
+mobileParser.pushChunk('2024. 5. 21. 오전 12:05, 철수 : 다음 날');
+const mobileMetadata = mobileParser.finish();
+
+assert.equal(mobileMetadata.title, '홍길동');
+assert.equal(mobileMetadata.saveDate, '2024년 5월 21일 오전 9:00');
+assert.deepEqual(mobileEntries.map(entry => entry.type), ['date', 'message', 'system', 'date', 'message']);
+assert.equal(mobileEntries[0].date, '2024년 5월 20일 월요일');
+assert.equal(mobileEntries[1].sender, '홍길동');
+assert.equal(mobileEntries[1].time, '오후 3:12');
+assert.equal(mobileEntries[1].content, '안녕\n둘째 줄');
+assert.equal(mobileEntries[1].date, '2024년 5월 20일 월요일');
+assert.equal(mobileEntries[2].event, 'join');
+assert.deepEqual([...mobileEntries[2].participants], ['철수']);
+assert.equal(mobileEntries[2].timestamp, new Date(2024, 4, 20, 15, 13).getTime());
+assert.equal(mobileMetadata.totalMessages, 2, '시스템 알림은 메시지 수에 포함하지 않는다.');
+assert.equal(mobileEntries[3].date, '2024년 5월 21일 화요일', '날짜 줄이 없어도 날짜가 바뀌면 구분선을 만들어야 한다.');
+assert.equal(mobileEntries[4].content, '다음 날');
+assert.equal(mobileEntries[4].timestamp, new Date(2024, 4, 21, 0, 5).getTime());
+
+const englishEntries = [];
+const englishParser = new sandbox.KakaoTalkStreamParser(entry => englishEntries.push(entry));
+englishParser.pushChunk('Talk_2024.5.20 15:12-1\nSaved on : 2024. 5. 20. 15:12\n\n');
+englishParser.pushChunk('--------------- Monday, May 20, 2024 ---------------\n');
+englishParser.pushChunk('[Alice] [3:12 PM] Photo\n[Bob] [12:05 AM] hi\nCarol joined this chatroom.\n');
+const englishMetadata = englishParser.finish();
+
+assert.equal(englishMetadata.title, 'Talk_2024.5.20 15:12-1');
+assert.equal(englishMetadata.saveDate, '2024. 5. 20. 15:12');
+assert.equal(englishEntries[0].date, '2024년 5월 20일 월요일');
+assert.equal(englishEntries[1].time, '오후 3:12');
+assert.equal(englishEntries[1].messageType, 'media');
+assert.equal(englishEntries[2].time, '오전 12:05');
+assert.equal(englishEntries[3].type, 'system');
+assert.equal(englishEntries[3].event, 'join');
+assert.deepEqual([...englishEntries[3].participants], ['Carol']);
+
+// 알림 문구가 들어 있는 평범한 문장은 메시지로 남겨야 한다
+const sentenceEntries = [];
+const sentenceParser = new sandbox.KakaoTalkStreamParser(entry => sentenceEntries.push(entry));
+sentenceParser.pushChunk('--------------- Monday, May 20, 2024 ---------------\n');
+sentenceParser.pushChunk('[Alice] [3:12 PM] I invited them.\n[Bob] [3:13 PM] guess what\nMom invited us to dinner\n');
+sentenceParser.pushChunk('[Carol] [3:14 PM] Dave invited everyone.\nAlice invited Erin and Frank.\n');
+const sentenceMetadata = sentenceParser.finish();
+assert.deepEqual(sentenceEntries.map(entry => entry.type), ['date', 'message', 'message', 'message', 'system']);
+assert.equal(sentenceEntries[1].content, 'I invited them.', '발신자가 있는 메시지 내용은 알림이 아니다.');
+assert.equal(sentenceEntries[2].content, 'guess what\nMom invited us to dinner', '이어지는 줄을 알림으로 떼어내면 안 된다.');
+assert.equal(sentenceEntries[3].content, 'Dave invited everyone.');
+assert.deepEqual([...sentenceEntries[4].participants], ['Erin', 'Frank'], '실제 초대 알림은 그대로 알아봐야 한다.');
+assert.equal(sentenceMetadata.totalMessages, 3);
+assert.equal(sentenceMetadata.diagnostics.counts.orphan, 0, '알림으로 잘못 떼어내 생기는 고아 줄이 없어야 한다.');
+const koreanSentences = [];
+const koreanSentenceParser = new sandbox.KakaoTalkStreamParser(entry => koreanSentences.push(entry));
+koreanSentenceParser.pushChunk('--------------- 2024년 5월 20일 월요일 ---------------\n');
+koreanSentenceParser.pushChunk('[철수] [오후 1:00] 영희님이 나갔습니다.\n[영희] [오후 1:01] 삭제된 메시지입니다.\n');
+koreanSentenceParser.finish();
+assert.deepEqual(koreanSentences.map(entry => entry.type), ['date', 'message', 'system'],
+    '발신자가 쓴 알림 같은 문장은 메시지, 삭제 자리표시는 알림이다.');
+
+const japaneseEntries = [];
+const japaneseParser = new sandbox.KakaoTalkStreamParser(entry => japaneseEntries.push(entry));
+japaneseParser.pushChunk('花子 とのトーク履歴\n保存日時 : 2024/05/20 15:12\n');
+japaneseParser.pushChunk('--------------- 2024年5月20日 月曜日 ---------------\n[花子] [午後 3:12] スタンプ\n');
+const japaneseMetadata = japaneseParser.finish();
+
+assert.equal(japaneseMetadata.title, '花子');
+assert.equal(japaneseEntries[0].date, '2024년 5월 20일 월요일');
+assert.equal(japaneseEntries[1].time, '오후 3:12');
+assert.equal(japaneseEntries[1].messageType, 'emoticon');
+
+assert.equal(sandbox.KakaoTalkCsvStreamParser.matches('\uFEFFDate,User,Message\r\n'), true);
+assert.equal(sandbox.KakaoTalkCsvStreamParser.matches('테스트방 님과 카카오톡 대화\n'), false);
+const csvEntries = [];
+const csvParser = new sandbox.KakaoTalkCsvStreamParser(entry => csvEntries.push(entry), { title: 'mac-chat' });
+csvParser.pushChunk('Date,User,Message\r\n2024-05-20 00:05:10,"철수","첫 줄\r\n둘');
+csvParser.pushChunk('째 줄, 쉼표 ""인용"""\r\n2024-05-20 12:30:00,영희,사진\r\n');
+csvParser.pushChunk('2024-05-21 13:01:00,철수,"다음 날"');
+const csvMetadata = csvParser.finish();
+
+assert.equal(csvMetadata.title, 'mac-chat');
+assert.equal(csvMetadata.totalMessages, 3);
+assert.deepEqual(csvEntries.map(entry => entry.type), ['date', 'message', 'message', 'date', 'message']);
+assert.equal(csvEntries[0].date, '2024년 5월 20일 월요일');
+assert.equal(csvEntries[1].content, '첫 줄\n둘째 줄, 쉼표 "인용"', '따옴표 안 줄바꿈은 청크 경계를 넘어도 한 메시지여야 한다.');
+assert.equal(csvEntries[1].time, '오전 12:05');
+assert.equal(csvEntries[2].time, '오후 12:30');
+assert.equal(csvEntries[2].messageType, 'media');
+assert.equal(csvEntries[3].date, '2024년 5월 21일 화요일');
+assert.equal(csvEntries[4].time, '오후 1:01');
+assert.equal(csvEntries[4].timestamp, new Date(2024, 4, 21, 13, 1).getTime());
+
+const systemEntries = [];
+const systemParser = new sandbox.KakaoTalkStreamParser(entry => systemEntries.push(entry));
+systemParser.pushChunk('--------------- 2024년 5월 20일 월요일 ---------------\n[방장] [오후 1:00] 환영합니다\n');
+systemParser.pushChunk('방장님이 철수님, 영희님을 초대했습니다.\n철수님을 내보냈습니다.\n');
+systemParser.pushChunk('영희님이 방장이 되었습니다.\n[영희] [오후 1:05] 삭제된 메시지입니다.\n');
+systemParser.pushChunk("'영희'님이 '새이름'(으)로 프로필을 변경했습니다.\n채팅방 관리자가 메시지를 가렸습니다.\n");
+systemParser.finish();
+
+const systemEvents = systemEntries.filter(entry => entry.type === 'system');
+assert.deepEqual(systemEvents.map(entry => entry.event), ['invite', 'kick', 'host', 'delete', 'profile', 'hide']);
+assert.equal(systemEvents[0].actor, '방장');
+assert.deepEqual([...systemEvents[0].participants], ['철수', '영희']);
+assert.equal(systemEvents[0].timestamp, new Date(2024, 4, 20, 13, 0).getTime(), '시간 없는 알림은 직전 시각을 이어받는다.');
+assert.equal(systemEntries[1].content, '환영합니다', '알림 줄을 앞 메시지 내용에 붙이면 안 된다.');
+assert.deepEqual([...systemEvents[1].participants], ['철수']);
+assert.deepEqual([...systemEvents[3].participants], ['영희']);
+assert.equal(systemEvents[3].time, '오후 1:05');
+assert.equal(systemEvents[4].actor, '영희');
+assert.deepEqual([...systemEvents[4].participants], ['새이름']);
+assert.equal(systemEvents[5].actor, '채팅방 관리자');
+
+const cardEntries = [];
+const cardParser = new sandbox.KakaoTalkStreamParser(entry => cardEntries.push(entry));
+cardParser.pushChunk('--------------- 2024년 5월 20일 월요일 ---------------\n');
+cardParser.pushChunk('[철수] [오후 1:00] 카카오페이 송금\n15,000원\n[영희] [오후 1:01] 정산하기: 총 48,000원\n');
+cardParser.pushChunk('[철수] [오후 1:02] 투표: 점심 메뉴\n김밥, 라면\n[영희] [오후 1:03] 일정: 팀 회식\n2024년 5월 24일 (금) 오후 7:00\n');
+cardParser.pushChunk('[철수] [오후 1:04] 공지: 회비 안내\n이번 달 회비는 만 원입니다\n[영희] [오후 1:05] 지도: 강남역 2번 출구\nhttps://place.map.kakao.com/1\n');
+cardParser.pushChunk('[철수] [오후 1:06] 연락처: 홍길동\n010-1234-5678\n[영희] [오후 1:07] 정산은 내일 할게');
+cardParser.finish();
+
+const cards = cardEntries.filter(entry => entry.type === 'message');
+assert.deepEqual(
+    cards.map(entry => entry.messageType),
+    ['transfer', 'settlement', 'poll', 'event', 'notice', 'map', 'contact', 'text']
+);
+assert.equal(cards[0].card.amount, 15000, '다음 줄에 나온 금액도 읽어야 한다.');
+assert.equal(cards[1].card.amount, 48000);
+assert.equal(cards[2].card.title, '점심 메뉴');
+assert.equal(cards[3].card.title, '팀 회식');
+assert.equal(cards[3].card.eventDate, '2024년 5월 24일 (금) 오후 7:00');
+assert.equal(cards[4].card.title, '회비 안내');
+assert.equal(cards[5].card.place, '강남역 2번 출구', '지도 링크보다 카드 종류를 우선해야 한다.');
+assert.equal(cards[6].card.name, '홍길동');
+assert.equal(cards[6].card.phone, '010-1234-5678');
+assert.equal('card' in cards[7], false);
+
+// 카드 머리말과 같은 낱말로 시작하는 평범한 메시지는 글자 그대로 보여야 한다
+const plainEntries = [];
+const plainParser = new sandbox.KakaoTalkStreamParser(entry => plainEntries.push(entry));
+plainParser.pushChunk('--------------- 2024년 5월 20일 월요일 ---------------\n');
+plainParser.pushChunk('[철수] [오후 1:00] 일정 언제로 할까?\n[영희] [오후 1:01] 위치 어디야\n[철수] [오후 1:02] 공지 봤어?\n');
+plainParser.pushChunk('[영희] [오후 1:03] 송금 했어\n[철수] [오후 1:04] 투표 좀 해줘\n[영희] [오후 1:05] 송금: 어제 보냈어\n');
+plainParser.pushChunk('[철수] [오후 1:06] 어제 5,000원을 보냈어요 ㅋㅋ\n[영희] [오후 1:07] 일정: 다음주에 보자\n');
+plainParser.pushChunk('[철수] [오후 1:08] 공지: 오늘 점심 뭐먹지\n[영희] [오후 1:09] 위치: 집 앞이야\n');
+plainParser.finish();
+const plainMessages = plainEntries.filter(entry => entry.type === 'message');
+assert.deepEqual(plainMessages.map(entry => entry.messageType), Array(10).fill('text'),
+    '카드 모양이 아닌 메시지를 카드로 바꾸면 안 된다.');
+assert.equal(plainMessages.some(entry => 'card' in entry), false);
+
+const callEntries = [];
+const callParser = new sandbox.KakaoTalkStreamParser(entry => callEntries.push(entry));
+callParser.pushChunk('--------------- 2024년 5월 20일 월요일 ---------------\n');
+callParser.pushChunk('[철수] [오후 1:00] 보이스톡 해요\n[철수] [오후 1:13] 통화시간 12:34\n');
+callParser.pushChunk('[영희] [오후 2:00] 페이스톡 취소\n[영희] [오후 2:01] 부재중 보이스톡\n');
+callParser.pushChunk('[철수] [오후 3:00] 페이스톡 1:02:03\n[영희] [오후 3:10] 음성메시지\n');
+callParser.pushChunk('[철수] [오후 4:00] 수신 보이스톡 1:05\n[영희] [오후 4:10] 페이스톡 해요 발신\n[철수] [오후 4:20] 수신 확인했어');
+callParser.finish();
+
+const calls = callEntries.filter(entry => entry.type === 'message');
+assert.deepEqual(calls.map(entry => entry.messageType), ['call', 'call', 'call', 'call', 'call', 'voice', 'call', 'call', 'text']);
+assert.deepEqual({ ...calls[0].call }, { media: 'voice', status: 'started', direction: 'outgoing', duration: null });
+assert.deepEqual({ ...calls[1].call }, { media: 'voice', status: 'completed', direction: 'outgoing', duration: 754 });
+assert.deepEqual({ ...calls[2].call }, { media: 'video', status: 'cancelled', direction: 'outgoing', duration: null });
+assert.equal(calls[3].call.status, 'missed');
+assert.equal(calls[4].call.duration, 3723);
+assert.equal('call' in calls[5], false);
+assert.deepEqual({ ...calls[6].call }, { media: 'voice', status: 'completed', direction: 'incoming', duration: 65 },
+    '수신이 적힌 통화는 보낸 사람이 받은 통화다.');
+assert.equal(calls[7].call.direction, 'outgoing');
+assert.equal(calls[7].call.status, 'started');
+assert.equal('call' in calls[8], false, '방향 낱말만 있는 평범한 메시지는 통화가 아니다.');
+
+const diagnosticEntries = [];
+const diagnosticParser = new sandbox.KakaoTalkStreamParser(entry => diagnosticEntries.push(entry));
+diagnosticParser.pushChunk('테스트방 님과 카카오톡 대화\n앞에 붙을 곳 없는 줄\n');
+diagnosticParser.pushChunk('--------------- 2024년 5월 20일 월요일 ---------------\n');
+diagnosticParser.pushChunk('[[철수]] [오후 1:00] 괄호 이름\n[영희] [오후 25시] 깨진 머리말\n');
+diagnosticParser.pushChunk('--------------- 알 수 없는 날짜 ---------------\n');
+const diagnostics = diagnosticParser.finish().diagnostics;
+
+assert.equal(diagnosticEntries[1].sender, '[철수]', '이름에 "]"가 있어도 머리말로 읽어야 한다.');
+assert.equal(diagnostics.total, 3);
+assert.deepEqual({ ...diagnostics.counts }, { orphan: 1, suspiciousHeader: 1, unknownDate: 1 });
+assert.deepEqual([...diagnostics.items.map(item => item.kind)], ['orphan', 'suspiciousHeader', 'unknownDate']);
+assert.deepEqual([...diagnostics.items.map(item => item.line)], [2, 5, 6]);
+assert.equal(diagnostics.items[0].index, 0);
+assert.equal(diagnostics.items[1].index, 1, '깨진 머리말은 이어 붙은 메시지 위치를 가리켜야 한다.');
+
+const mergeFile = (text, merger) => {
+    const parser = new sandbox.KakaoTalkStreamParser(entry => merger.push(entry));
+    parser.pushChunk(text);
+    parser.finish();
+};
+const mergedEntries = [];
+const merger = new sandbox.KakaoTalkTimelineMerger(entry => mergedEntries.push(entry));
+merger.beginFile('old.txt');
+mergeFile([
+    '테스트방 님과 카카오톡 대화',
+    '--------------- 2024년 5월 20일 월요일 ---------------',
+    '[철수] [오후 1:00] 첫 메시지',
+    '[영희] [오후 1:05] 같은 분',
+    '[영희] [오후 1:05] 같은 분',
+    ''
+].join('\n'), merger);
+merger.beginFile('new.txt');
+mergeFile([
+    '테스트방 님과 카카오톡 대화',
+    '--------------- 2024년 5월 20일 월요일 ---------------',
+    '[철수] [오후 1:00] 첫 메시지',
+    '[영희] [오후 1:05] 같은 분',
+    '[영희] [오후 1:05] 같은 분',
+    '[철수] [오후 1:05] 같은 분에 새로 온 메시지',
+    '--------------- 2024년 5월 21일 화요일 ---------------',
+    '[철수] [오전 9:00] 다음 날',
+    ''
+].join('\n'), merger);
+
+assert.deepEqual(mergedEntries.map(entry => entry.index), [0, 1, 2, 3, 4, 5, 6]);
+assert.deepEqual(mergedEntries.map(entry => entry.content ?? entry.date), [
+    '2024년 5월 20일 월요일', '첫 메시지', '같은 분', '같은 분',
+    '같은 분에 새로 온 메시지', '2024년 5월 21일 화요일', '다음 날'
+]);
+assert.deepEqual([...merger.files.map(file => `${file.name}:${file.messages}/${file.duplicates}`)], [
+    'old.txt:3/0',
+    'new.txt:2/3'
+]);
+
+const appendedEntries = [];
+const appender = new sandbox.KakaoTalkTimelineMerger(entry => appendedEntries.push(entry));
+appender.resume(7, mergedEntries.slice(2, 5));
+appender.beginFile('newer.txt');
+mergeFile([
+    '테스트방 님과 카카오톡 대화',
+    '--------------- 2024년 5월 20일 월요일 ---------------',
+    '[영희] [오후 1:05] 같은 분',
+    '[영희] [오후 1:05] 같은 분',
+    '[철수] [오후 1:05] 같은 분에 새로 온 메시지',
+    '[영희] [오후 1:05] 마지막 저장 뒤 메시지',
+    ''
+].join('\n'), appender);
+assert.deepEqual(appendedEntries.map(entry => `${entry.index}:${entry.content}`), ['7:마지막 저장 뒤 메시지']);
+assert.equal(appender.files[0].duplicates, 3);
+
+const resumeText = [
+    '테스트방 님과 카카오톡 대화',
+    '--------------- 2024년 5월 20일 월요일 ---------------',
+    '[철수] [오후 11:58] 여러 줄',
+    '이어지는 줄',
+    '[영희] [오전 12:01] 자정 넘김',
+    '--------------- 2024년 5월 21일 화요일 ---------------',
+    '[철수] [오전 9:00] 다음 날',
+    ''
+].join('\n');
+const cutAt = resumeText.indexOf('이어지는 줄');
+const wholeEntries = [];
+const wholeParser = new sandbox.KakaoTalkStreamParser(entry => wholeEntries.push(entry));
+wholeParser.pushChunk(resumeText);
+wholeParser.finish();
+const resumedEntries = [];
+const beforeCrash = new sandbox.KakaoTalkStreamParser(entry => resumedEntries.push(entry));
+beforeCrash.pushChunk(resumeText.slice(0, cutAt));
+const savedParser = JSON.parse(JSON.stringify(beforeCrash.snapshot()));
+const afterCrash = new sandbox.KakaoTalkStreamParser(entry => resumedEntries.push(entry)).restore(savedParser);
+afterCrash.pushChunk(resumeText.slice(cutAt));
+afterCrash.finish();
+assert.deepEqual(
+    JSON.stringify(resumedEntries),
+    JSON.stringify(wholeEntries),
+    '저장한 상태에서 이어 읽으면 한 번에 읽은 것과 같아야 한다.'
+);
+
+const restoredEntries = [];
+const restored = new sandbox.KakaoTalkTimelineMerger(entry => restoredEntries.push(entry));
+restored.restore(JSON.parse(JSON.stringify(appender.snapshot())));
+assert.equal(restored.current, restored.files.at(-1), '이어서 합칠 파일은 마지막 파일이어야 한다.');
+mergeFile('[영희] [오후 1:05] 마지막 저장 뒤 메시지\n[철수] [오후 1:06] 새 메시지\n', restored);
+assert.deepEqual(restoredEntries.map(entry => `${entry.index}:${entry.content}`), ['8:마지막 저장 뒤 메시지', '9:새 메시지']);
+assert.equal(restored.files[0].messages, 3);
+
+const { detectEncoding } = sandbox.KakaoTalkStreamParser;
+assert.equal(detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41])), 'utf-8');
+assert.equal(detectEncoding(new Uint8Array([0xFF, 0xFE, 0x41, 0x00])), 'utf-16le');
+assert.equal(detectEncoding(new Uint8Array([0xFE, 0xFF, 0x00, 0x41])), 'utf-16be');
+assert.equal(detectEncoding(new Uint8Array(Buffer.from('[철수] [오후 1:00] 안녕', 'utf16le'))), 'utf-16le');
+assert.equal(detectEncoding(new TextEncoder().encode('[철수] [오후 1:00] 안녕').subarray(0, 14)), 'utf-8',
+    '표본 끝에서 잘린 UTF-8 글자는 EUC-KR로 오인하면 안 된다.');
+// "[철수]"를 CP949로 인코딩한 바이트
+assert.equal(detectEncoding(new Uint8Array([0x5B, 0xC3, 0xB6, 0xBC, 0xF6, 0x5D])), 'euc-kr');
 
 const compatibility = new sandbox.KakaoTalkParser().parse(
     '테스트방 님과 카카오톡 대화\n[철수] [오전 9:00] 안녕'
@@ -1,13 +1,105 @@
-importScripts('parser.js');
+importScripts('parser.js', 'chat-cipher.js', 'search-index.js', 'search-query.js');
 
 const DATABASE_NAME = 'kakaotalk-chat-viewer';
 const SOURCE_STORE_NAME = 'chunks';
 const SEARCH_STORE_NAME = 'searchChunks';
+const CHAT_STORE_NAME = 'chats';
+const SETTINGS_STORE_NAME = 'settings';
+const INDEX_STORE_NAME = 'searchIndex';
+const CHECKPOINT_STORE_NAME = 'importCheckpoints';
+const ENCRYPTION_SETTINGS_ID = 'encryption';
 const SOURCE_BATCH_SIZE = 5000;
 const SEARCH_BATCH_SIZE = 500;
 const MAX_SEARCH_RANGE = 200;
+const REGEX_CHUNK_BUDGET = 1000; // 정규식 검색이 청크 하나에 쓸 수 있는 시간 (ms), 넘기면 regex-worker를 종료한다
+const ENCODING_SAMPLE_SIZE = 64 * 1024;
+const INDEX_SEGMENT_SIZE = 50000; // 이만큼 메시지가 모이면 2-gram 목록을 저장한다
+const CHECKPOINT_INTERVAL = 16 * 1024 * 1024; // 이만큼 읽을 때마다 이어서 불러올 수 있게 상태를 저장한다
+const SIZE_SAMPLE_COUNT = 50; // 저장 공간을 추정할 때 읽어 보는 레코드 수
+const WRITE_LOCK_NAME = 'kakaotalk-chat-viewer-write'; // 가져오기처럼 여러 청크를 바꾸는 작업은 탭 사이에 하나씩
+const CHANGE_CHANNEL_NAME = 'kakaotalk-chat-viewer-changes';
+const BACKUP_FORMAT = 'kakaotalk-chat-viewer-backup';
+const BACKUP_VERSION = 1; // 백업 파일 형식이 바뀌면 올리고 restoreBackup에서 이전 형식도 읽는다
 let databasePromise;
 let activeSearchId = 0;
+let activeImport = null; // 진행 중인 가져오기 { id, cancelled, controller }
+let orphanSweep = null; // 이 Worker에서 처음 쓰기 잠금을 쥘 때 한 번 남은 청크를 치운다
+let regexWorker = null; // 정규식을 실행하는 Worker, 시간을 넘기면 종료하고 다음에 새로 띄운다
+let regexWorkerReady = false; // regex-worker가 스크립트를 다 읽고 준비됐다고 알렸는지
+let nextRegexRequestId = 0;
+const regexRequests = new Map(); // id → { resolve, reject, timer, message, budget }, timer는 보낸 뒤에만 있다
+let encryptionSettings; // 아직 읽지 않았으면 undefined, 암호가 없으면 null
+let cipher = null; // 잠금이 풀린 동안만 메모리에 둔다
+const changeChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANGE_CHANNEL_NAME) : null;
+
+// 다른 탭이 바꾼 내용을 화면에 알린다
+changeChannel?.addEventListener('message', event => {
+    const change = event.data;
+    if (change.kind === 'encryption' || change.kind === 'forgotten') {
+        // 암호 설정이 바뀌었으면 다음 요청 때 다시 읽고, 이 탭도 새 암호로 잠금을 풀어야 한다
+        activeSearchId++;
+        encryptionSettings = undefined;
+        cipher = null;
+    }
+    self.postMessage({ type: 'change', ...change });
+});
+
+/**
+ * 다른 탭에 저장소 변경 알리기
+ * @param {{kind: string, chatId?: string}} change - imported, appended, deleted, renamed, encryption, forgotten
+ */
+function announce(change) {
+    changeChannel?.postMessage(change);
+}
+
+/**
+ * 탭 사이 쓰기 잠금 안에서 실행 (Web Locks를 지원하지 않으면 그대로 실행)
+ * 다른 탭이 잠금을 쥐고 있으면 기다리는 동안 진행 상황으로 알린다.
+ * Worker가 새로 뜬 뒤 처음 잠금을 쥐면 작업 전에 sweepOrphanedChunks()를 한 번 실행한다.
+ * @param {Function} task - 잠금을 쥔 동안 실행할 작업
+ * @param {AbortSignal} [signal] - 기다리는 동안 취소
+ */
+async function withWriteLock(task, signal) {
+    const locked = async () => {
+        orphanSweep ??= sweepOrphanedChunks().catch(error => console.error('남은 청크 정리 실패:', error));
+        await orphanSweep;
+        return task();
+    };
+    const locks = self.navigator?.locks;
+    if (!locks) return locked();
+    return locks.request(WRITE_LOCK_NAME, { ifAvailable: true }, lock => {
+        if (lock) return locked();
+        self.postMessage({ type: 'progress', waiting: true });
+        return locks.request(WRITE_LOCK_NAME, { signal }, locked);
+    });
+}
+
+/**
+ * 채팅방 정보도 체크포인트도 없는 청크와 색인 지우기
+ * 가져오거나 복원하던 Worker가 되돌리기 전에 종료되면(탭을 닫거나 화면이 Worker를 다시 띄울 때) 이런 청크가 남는다.
+ * 청크는 쓰기 잠금을 쥔 작업만 쓰므로, 잠금 안에서 지우면 다른 탭이 쓰고 있는 청크를 건드리지 않는다.
+ * @returns {Promise<number>} 지운 채팅방 수
+ */
+async function sweepOrphanedChunks() {
+    const database = await openDatabase();
+    const transaction = database.transaction(
+        [SOURCE_STORE_NAME, INDEX_STORE_NAME, CHAT_STORE_NAME, CHECKPOINT_STORE_NAME],
+        'readwrite'
+    );
+    const [chunks, chatIds, checkpointIds] = await Promise.all([
+        requestResult(transaction.objectStore(SOURCE_STORE_NAME).getAllKeys()),
+        requestResult(transaction.objectStore(CHAT_STORE_NAME).getAllKeys()),
+        requestResult(transaction.objectStore(CHECKPOINT_STORE_NAME).getAllKeys())
+    ]);
+    const owned = new Set([...chatIds, ...checkpointIds]);
+    const orphans = new Set(chunks.map(([chatId]) => chatId).filter(chatId => !owned.has(chatId)));
+    for (const chatId of orphans) {
+        transaction.objectStore(SOURCE_STORE_NAME).delete(chatRange(chatId));
+        transaction.objectStore(INDEX_STORE_NAME).delete(IDBKeyRange.bound([chatId], [chatId, []]));
+    }
+    await transactionDone(transaction);
+    return orphans.size;
+}
 
 function requestResult(request) {
     return new Promise((resolve, reject) => {
@@ -24,166 +116,1468 @@ function transactionDone(transaction) {
     });
 }
 
+/**
+ * 저장소 버전별 올리기 단계 (oldVersion보다 높은 단계만 순서대로 실행한다)
+ * 모두 upgradeneeded의 versionchange 트랜잭션 하나 안에서 돌기 때문에, IndexedDB 요청 말고
+ * 다른 비동기 작업(암호화 등)을 기다리면 트랜잭션이 먼저 끝나 버린다.
+ * 저장된 데이터는 그 자리에서 고쳐 옮기고, 옮길 수 없을 때만 지운 뒤 requireReimport(reason)로 알린다.
+ */
+const MIGRATIONS = [
+    {
+        version: 3,
+        upgrade(migration) {
+            const { database } = migration;
+            // v3 이전의 messages 저장소는 형식을 알 수 없어 옮기지 못한다
+            if (database.objectStoreNames.contains('messages')) {
+                database.deleteObjectStore('messages');
+                migration.requireReimport('v3 이전 버전에서 저장한 대화');
+            }
+            if (!database.objectStoreNames.contains(SOURCE_STORE_NAME)) {
+                database.createObjectStore(SOURCE_STORE_NAME, { keyPath: 'start' });
+            }
+            if (!database.objectStoreNames.contains(SEARCH_STORE_NAME)) {
+                database.createObjectStore(SEARCH_STORE_NAME, { keyPath: 'start' });
+            }
+        }
+    },
+    { version: 4, upgrade: migrateLegacyChunks },
+    {
+        version: 5, // 보관함 암호 설정
+        upgrade: ({ database }) => database.createObjectStore(SETTINGS_STORE_NAME, { keyPath: 'id' })
+    },
+    {
+        version: 6, // 2-gram 검색 색인
+        upgrade: ({ database }) => database.createObjectStore(INDEX_STORE_NAME, { keyPath: ['chatId', 'gram', 'start'] })
+    },
+    {
+        version: 7, // 이어서 불러오기 체크포인트
+        upgrade: ({ database }) => database.createObjectStore(CHECKPOINT_STORE_NAME, { keyPath: 'chatId' })
+    }
+];
+const DATABASE_VERSION = MIGRATIONS.at(-1).version;
+
+/**
+ * upgradeneeded에서 oldVersion보다 높은 단계를 차례로 실행
+ * 도중에 실패하면 호출한 쪽이 트랜잭션을 되돌려 저장소가 이전 버전 그대로 남는다.
+ * @param {IDBDatabase} database - 올리는 중인 저장소
+ * @param {IDBTransaction} transaction - versionchange 트랜잭션
+ * @param {number} oldVersion - 0이면 새로 만드는 저장소
+ * @returns {Promise<string[]>} 옮기지 못해 지운 데이터 (원본 파일을 다시 불러와야 한다)
+ */
+async function runMigrations(database, transaction, oldVersion) {
+    const reimport = [];
+    const migration = {
+        database,
+        transaction,
+        version: oldVersion,
+        requireReimport: reason => reimport.push(reason),
+        // 옮길 데이터가 있을 때만 화면에 진행 상황을 알린다
+        progress(loaded, total) {
+            if (oldVersion > 0) self.postMessage({ type: 'change', kind: 'migrating', version: this.version, loaded, total });
+        }
+    };
+    for (const step of MIGRATIONS) {
+        if (step.version <= oldVersion) continue;
+        migration.version = step.version;
+        await step.upgrade(migration);
+    }
+    return reimport;
+}
+
+/**
+ * 커서로 레코드를 하나씩 넘기기 (callback이 끝나야 다음 레코드로 넘어간다)
+ */
+function eachRecord(request, callback) {
+    return new Promise((resolve, reject) => {
+        request.addEventListener('success', () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            try {
+                callback(cursor.value);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            cursor.continue();
+        });
+        request.addEventListener('error', () => reject(request.error));
+    });
+}
+
+/**
+ * v4: 채팅방 하나의 청크만 start 키로 두던 저장소를 채팅방 보관함으로 옮긴다
+ * 키 형식이 달라 기존 저장소 이름을 바꿔 두고, 청크마다 chatId를 붙여 새 저장소에 넣는다.
+ */
+async function migrateLegacyChunks(migration) {
+    const { database, transaction } = migration;
+    database.createObjectStore(CHAT_STORE_NAME, { keyPath: 'id' });
+    const legacy = transaction.objectStore(SOURCE_STORE_NAME);
+    legacy.name = 'legacyChunks';
+    const chunks = database.createObjectStore(SOURCE_STORE_NAME, { keyPath: ['chatId', 'start'] });
+    transaction.objectStore(SEARCH_STORE_NAME).clear(); // 검색 결과는 다시 검색하면 된다
+
+    const total = await requestResult(legacy.count());
+    if (total > 0) {
+        const chat = legacyChatBuilder(self.crypto.randomUUID());
+        let loaded = 0;
+        let skipped = false;
+        await eachRecord(legacy.openCursor(), record => {
+            if (Array.isArray(record.entries)) {
+                chunks.put({ chatId: chat.id, start: record.start, entries: chat.add(record.entries) });
+            } else {
+                skipped = true;
+            }
+            migration.progress(++loaded, total);
+        });
+        transaction.objectStore(CHAT_STORE_NAME).put(chat.finish());
+        if (skipped) migration.requireReimport('이전 버전에서 저장한 대화의 일부 메시지');
+    }
+    database.deleteObjectStore('legacyChunks');
+}
+
+/**
+ * v3 청크를 읽으며 빠진 값을 채우고 채팅방 정보를 다시 세기
+ * v3는 채팅방 정보를 따로 저장하지 않았고, 타임스탬프를 넣기 전에 불러온 항목에는 timestamp가 없다.
+ * 빠진 타임스탬프는 가져올 때와 같은 파서의 날짜 계산으로 채운다.
+ * @param {string} chatId - 옮겨 갈 채팅방
+ * @returns {{id: string, add: Function, finish: Function}} add(entries)는 값을 채운 항목을, finish()는 저장할 채팅방 정보를 돌려준다
+ */
+function legacyChatBuilder(chatId) {
+    const clock = new self.KakaoTalkStreamParser(() => {});
+    const senderCounts = new Map();
+    const callStats = new Map();
+    const dates = [];
+    let totalEntries = 0;
+    let totalMessages = 0;
+
+    return {
+        id: chatId,
+        add(entries) {
+            for (const entry of entries) {
+                let timestamp;
+                if (entry.type === 'date') {
+                    clock.startDate(entry.date);
+                    timestamp = clock.lastTimestamp;
+                } else {
+                    timestamp = entry.time ? clock.timestampFor(entry.time) : clock.lastTimestamp;
+                }
+                if (!('timestamp' in entry)) entry.timestamp = timestamp;
+
+                totalEntries = Math.max(totalEntries, entry.index + 1);
+                if (entry.type === 'date') {
+                    dates.push({ date: entry.date, index: entry.index, timestamp: entry.timestamp });
+                }
+                if (entry.type === 'message') {
+                    totalMessages++;
+                    if (entry.sender) senderCounts.set(entry.sender, (senderCounts.get(entry.sender) || 0) + 1);
+                    if (entry.sender && entry.call) recordCall(callStats, entry);
+                }
+            }
+            return entries;
+        },
+        finish(now = Date.now()) {
+            return {
+                id: chatId,
+                title: '이전 버전에서 불러온 대화',
+                saveDate: '',
+                importedAt: now,
+                updatedAt: now,
+                openedAt: now,
+                totalEntries,
+                totalMessages,
+                diagnostics: { total: 0, counts: { orphan: 0, suspiciousHeader: 0, unknownDate: 0 }, items: [] },
+                users: [...senderCounts.entries()]
+                    .map(([name, messageCount]) => ({ name, messageCount }))
+                    .sort((a, b) => b.messageCount - a.messageCount),
+                dates,
+                callStats: [...callStats.values()].sort((a, b) => b.totalDuration - a.totalDuration),
+                files: [],
+                indexed: false
+            };
+        }
+    };
+}
+
 function openDatabase() {
     if (databasePromise) return databasePromise;
 
     databasePromise = new Promise((resolve, reject) => {
-        const request = indexedDB.open(DATABASE_NAME, 3);
-        request.addEventListener('upgradeneeded', () => {
-            if (request.result.objectStoreNames.contains('messages')) {
-                request.result.deleteObjectStore('messages');
-            }
-            if (!request.result.objectStoreNames.contains(SOURCE_STORE_NAME)) {
-                request.result.createObjectStore(SOURCE_STORE_NAME, { keyPath: 'start' });
-            }
-            if (!request.result.objectStoreNames.contains(SEARCH_STORE_NAME)) {
-                request.result.createObjectStore(SEARCH_STORE_NAME, { keyPath: 'start' });
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        let migrated = null; // 기존 저장소를 올렸으면 옮기지 못한 데이터 목록
+        let migrationError = null;
+        request.addEventListener('upgradeneeded', event => {
+            const { oldVersion } = event;
+            runMigrations(request.result, request.transaction, oldVersion).then(reimport => {
+                if (oldVersion > 0) migrated = reimport;
+            }, error => {
+                migrationError = error;
+                request.transaction.abort();
+            });
+        });
+        request.addEventListener('success', () => {
+            const database = request.result;
+            // 다른 탭이 새 버전으로 올리려 하면 연결을 닫아 막지 않고, 화면에 새로고침을 안내한다
+            database.addEventListener('versionchange', () => {
+                database.close();
+                databasePromise = null;
+                self.postMessage({ type: 'change', kind: 'versionchange' });
+            });
+            if (migrated) self.postMessage({ type: 'change', kind: 'migrated', reimport: migrated });
+            resolve(database);
+        });
+        request.addEventListener('error', () => {
+            if (!migrationError) {
+                reject(request.error);
+                return;
             }
+            // 되돌린 저장소는 이전 버전 그대로라, 다음 요청 때 다시 올려 본다
+            console.error('저장소 올리기 실패:', migrationError);
+            databasePromise = null;
+            reject(new Error(`보관함을 새 버전으로 옮기지 못했습니다: ${migrationError.message}`));
         });
-        request.addEventListener('success', () => resolve(request.result));
-        request.addEventListener('error', () => reject(request.error));
-        request.addEventListener('blocked', () => reject(new Error('다른 탭에서 채팅 저장소를 사용 중입니다.')));
+        // 이전 버전을 연 탭이 연결을 닫으면 success가 이어서 온다
+        request.addEventListener('blocked', () => self.postMessage({ type: 'change', kind: 'blocked' }));
     });
     return databasePromise;
 }
 
-async function clearStoredData() {
+function chatRange(chatId, first = 0, last = Infinity) {
+    return IDBKeyRange.bound([chatId, first], [chatId, last]);
+}
+
+async function loadEncryptionSettings() {
+    if (encryptionSettings !== undefined) return encryptionSettings;
     const database = await openDatabase();
-    const transaction = database.transaction([SOURCE_STORE_NAME, SEARCH_STORE_NAME], 'readwrite');
-    transaction.objectStore(SOURCE_STORE_NAME).clear();
+    const transaction = database.transaction(SETTINGS_STORE_NAME, 'readonly');
+    const settings = await requestResult(transaction.objectStore(SETTINGS_STORE_NAME).get(ENCRYPTION_SETTINGS_ID));
+    await transactionDone(transaction);
+    encryptionSettings = settings || null;
+    return encryptionSettings;
+}
+
+async function encryptionStatus() {
+    const enabled = Boolean(await loadEncryptionSettings());
+    return { enabled, locked: enabled && !cipher };
+}
+
+/**
+ * 암호가 설정돼 있으면 잠금이 풀린 ChatCipher, 아니면 null
+ */
+async function activeCipher() {
+    if (!(await loadEncryptionSettings())) return null;
+    if (!cipher) {
+        const error = new Error('보관함이 잠겨 있습니다. 암호를 입력해주세요.');
+        error.name = 'LockedError';
+        throw error;
+    }
+    return cipher;
+}
+
+/**
+ * 저장할 레코드 만들기
+ * 조회에 쓰는 키 필드는 그대로 두고, 암호가 설정돼 있으면 나머지(body)만 암호화한다.
+ */
+async function sealRecord(keyFields, body) {
+    const active = await activeCipher();
+    return active ? { ...keyFields, sealed: await active.seal(body) } : { ...keyFields, ...body };
+}
+
+/**
+ * sealRecord()로 저장한 레코드 읽기 (암호를 설정하기 전에 저장한 평문 레코드도 그대로 읽는다)
+ */
+async function openRecord(record) {
+    if (!record?.sealed) return record;
+    const { sealed, ...keyFields } = record;
+    return { ...keyFields, ...(await (await activeCipher()).open(sealed)) };
+}
+
+/**
+ * 항목 배열을 gzip으로 압축 (발신자, 날짜, 시간처럼 되풀이되는 값이 많아 크게 줄어든다)
+ * @returns {Promise<Uint8Array>}
+ */
+async function compressEntries(entries) {
+    const stream = new Blob([JSON.stringify(entries)]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decompressEntries(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * 항목 청크 레코드 만들기 (chunks, searchChunks)
+ * 암호화한 값은 줄지 않으므로 먼저 압축하고 암호화한다. rawBytes는 압축하기 전의 추정 크기다.
+ * CompressionStream이 없는 브라우저에서는 예전처럼 항목을 그대로 저장한다.
+ */
+async function packRecord(keyFields, entries) {
+    if (typeof CompressionStream !== 'function') return sealRecord(keyFields, { entries });
+    const packed = await compressEntries(entries);
+    const active = await activeCipher();
+    return { ...keyFields, rawBytes: estimateSize(entries), packed: active ? await active.sealBytes(packed) : packed };
+}
+
+/**
+ * packRecord()로 저장한 청크의 항목 (압축하기 전에 저장한 청크도 그대로 읽는다)
+ */
+async function unpackRecord(record) {
+    if (!record.packed) return (await openRecord(record)).entries;
+    const packed = ArrayBuffer.isView(record.packed)
+        ? record.packed
+        : await (await activeCipher()).openBytes(record.packed);
+    return decompressEntries(packed);
+}
+
+/**
+ * 새 암호 설정. 이미 저장된 채팅방과 청크도 모두 암호화한다.
+ */
+async function enableEncryption(passphrase) {
+    if (await loadEncryptionSettings()) throw new Error('이미 암호가 설정되어 있습니다.');
+
+    const created = await self.ChatCipher.create(passphrase);
+    const settings = { id: ENCRYPTION_SETTINGS_ID, ...created.settings };
+    // 설정을 먼저 저장한다. 도중에 멈춰도 레코드마다 암호화 여부를 따로 보므로 읽을 수 있다.
+    const database = await openDatabase();
+    // 2-gram 색인은 내용을 짐작할 수 있게 하므로 암호를 쓰는 동안에는 두지 않는다
+    const transaction = database.transaction([SETTINGS_STORE_NAME, SEARCH_STORE_NAME, INDEX_STORE_NAME], 'readwrite');
+    transaction.objectStore(SETTINGS_STORE_NAME).put(settings);
     transaction.objectStore(SEARCH_STORE_NAME).clear();
+    transaction.objectStore(INDEX_STORE_NAME).clear();
     await transactionDone(transaction);
+    encryptionSettings = settings;
+    cipher = created.cipher;
+    announce({ kind: 'encryption' });
+
+    for (const chat of await readChats()) {
+        await putChat({ ...chat, indexed: false });
+        for (const key of await chunkKeys(chat.id)) {
+            await putBatch(chat.id, await readChunk(key));
+        }
+    }
+    // 불러오다 멈춘 채팅방은 아직 채팅방 정보가 없어 체크포인트를 따라 암호화한다
+    for (const checkpoint of await readCheckpoints()) {
+        await putCheckpoint({ ...checkpoint, indexed: false });
+        for (const key of await chunkKeys(checkpoint.chatId)) {
+            await putBatch(checkpoint.chatId, await readChunk(key));
+        }
+    }
+    return encryptionStatus();
 }
 
-async function putBatch(entries) {
-    if (entries.length === 0) return;
+async function unlock(passphrase) {
+    const settings = await loadEncryptionSettings();
+    if (settings) cipher = await self.ChatCipher.unlock(passphrase, settings);
+    return encryptionStatus();
+}
+
+function lock() {
+    activeSearchId++;
+    cipher = null;
+    return encryptionStatus();
+}
+
+/**
+ * 암호를 잊었을 때를 위한 전체 삭제 (채팅방, 검색 결과, 암호 설정)
+ */
+async function forgetEverything() {
+    activeSearchId++;
     const database = await openDatabase();
-    const transaction = database.transaction(SOURCE_STORE_NAME, 'readwrite');
-    transaction.objectStore(SOURCE_STORE_NAME).put({ start: entries[0].index, entries });
+    const storeNames = [
+        SOURCE_STORE_NAME,
+        SEARCH_STORE_NAME,
+        CHAT_STORE_NAME,
+        SETTINGS_STORE_NAME,
+        INDEX_STORE_NAME,
+        CHECKPOINT_STORE_NAME
+    ];
+    const transaction = database.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => transaction.objectStore(name).clear());
+    await transactionDone(transaction);
+    encryptionSettings = null;
+    cipher = null;
+    announce({ kind: 'forgotten' });
+    return encryptionStatus();
+}
+
+/**
+ * 채팅방의 청크 삭제 (record가 false면 채팅방 정보는 남긴다)
+ * 불러오다 멈춘 채팅방의 체크포인트도 함께 지운다.
+ */
+async function deleteChat(chatId, record = true) {
+    const database = await openDatabase();
+    const transaction = database.transaction(
+        [SOURCE_STORE_NAME, SEARCH_STORE_NAME, CHAT_STORE_NAME, INDEX_STORE_NAME, CHECKPOINT_STORE_NAME],
+        'readwrite'
+    );
+    transaction.objectStore(SOURCE_STORE_NAME).delete(chatRange(chatId));
+    transaction.objectStore(INDEX_STORE_NAME).delete(IDBKeyRange.bound([chatId], [chatId, []]));
+    transaction.objectStore(CHECKPOINT_STORE_NAME).delete(chatId);
+    transaction.objectStore(SEARCH_STORE_NAME).clear();
+    if (record) transaction.objectStore(CHAT_STORE_NAME).delete(chatId);
+    await transactionDone(transaction);
+    if (record) announce({ kind: 'deleted', chatId });
+}
+
+async function getChat(chatId) {
+    const database = await openDatabase();
+    const transaction = database.transaction(CHAT_STORE_NAME, 'readonly');
+    const chat = await requestResult(transaction.objectStore(CHAT_STORE_NAME).get(chatId));
+    await transactionDone(transaction);
+    if (!chat) throw new Error('저장된 채팅방을 찾을 수 없습니다.');
+    return openRecord(chat);
+}
+
+async function putChat(chat) {
+    const { id, openedAt, ...body } = chat;
+    const record = await sealRecord({ id, openedAt }, body);
+    const database = await openDatabase();
+    const transaction = database.transaction(CHAT_STORE_NAME, 'readwrite');
+    transaction.objectStore(CHAT_STORE_NAME).put(record);
     await transactionDone(transaction);
+    return chat;
 }
 
-async function importFile(file) {
+async function readChats() {
+    const database = await openDatabase();
+    const transaction = database.transaction(CHAT_STORE_NAME, 'readonly');
+    const chats = await requestResult(transaction.objectStore(CHAT_STORE_NAME).getAll());
+    await transactionDone(transaction);
+    return Promise.all(chats.map(openRecord));
+}
+
+/**
+ * 보관함 목록 (최근에 가져온 순)
+ */
+async function listChats() {
+    return (await readChats())
+        .map(({ id, title, saveDate, totalMessages, importedAt, updatedAt }) => (
+            { id, title, saveDate, totalMessages, importedAt, updatedAt }
+        ))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 마지막으로 연 채팅방 (새로 고침 후 이어 보기용)
+ */
+async function getLastChat() {
+    const database = await openDatabase();
+    const transaction = database.transaction(CHAT_STORE_NAME, 'readonly');
+    const chats = await requestResult(transaction.objectStore(CHAT_STORE_NAME).getAll());
+    await transactionDone(transaction);
+    const last = chats.reduce((last, chat) => (!last || chat.openedAt > last.openedAt ? chat : last), undefined);
+    return last && openRecord(last);
+}
+
+async function openChat(chatId) {
+    const chat = await getChat(chatId);
+    chat.openedAt = Date.now();
+    return putChat(chat);
+}
+
+/**
+ * 보는 상태 저장 ("나"로 고른 사람, 마지막 스크롤 위치)
+ */
+async function saveView(chatId, view) {
+    const chat = await getChat(chatId);
+    chat.view = { ...chat.view, ...view };
+    await putChat(chat);
+}
+
+async function renameChat(chatId, title) {
+    const chat = await getChat(chatId);
+    chat.title = title;
+    await putChat(chat);
+    announce({ kind: 'renamed', chatId, title });
+    return chat;
+}
+
+/**
+ * 가져오기 체크포인트 저장 (채팅방 id만 두고 나머지는 암호화 대상)
+ */
+async function putCheckpoint(checkpoint) {
+    const { chatId, ...body } = checkpoint;
+    const record = await sealRecord({ chatId }, body);
+    const database = await openDatabase();
+    const transaction = database.transaction(CHECKPOINT_STORE_NAME, 'readwrite');
+    transaction.objectStore(CHECKPOINT_STORE_NAME).put(record);
+    await transactionDone(transaction);
+}
+
+async function readCheckpoints() {
+    const database = await openDatabase();
+    const transaction = database.transaction(CHECKPOINT_STORE_NAME, 'readonly');
+    const checkpoints = await requestResult(transaction.objectStore(CHECKPOINT_STORE_NAME).getAll());
+    await transactionDone(transaction);
+    return Promise.all(checkpoints.map(openRecord));
+}
+
+async function deleteCheckpoint(chatId) {
+    const database = await openDatabase();
+    const transaction = database.transaction(CHECKPOINT_STORE_NAME, 'readwrite');
+    transaction.objectStore(CHECKPOINT_STORE_NAME).delete(chatId);
+    await transactionDone(transaction);
+}
+
+function isSameFile(saved, file) {
+    return saved.name === file.name && saved.size === file.size && saved.lastModified === file.lastModified;
+}
+
+/**
+ * 같은 파일(이름, 크기, 수정 시각)을 불러오다 멈춘 기록 찾기
+ * null을 돌려주면 응답을 보내지 않으므로 없을 때는 undefined를 돌려준다.
+ * @returns {Promise<{chatId: string, offset: number, size: number, savedAt: number}|undefined>}
+ */
+async function findCheckpoint(file) {
+    const checkpoint = (await readCheckpoints()).find(saved => isSameFile(saved.file, file));
+    return checkpoint && {
+        chatId: checkpoint.chatId,
+        offset: checkpoint.offset,
+        size: checkpoint.file.size,
+        savedAt: checkpoint.savedAt
+    };
+}
+
+/**
+ * 레코드가 차지하는 대략적인 크기 (문자열은 UTF-16 기준, 키 이름 포함)
+ */
+function estimateSize(value) {
+    if (value == null) return 0;
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean') return 4;
+    if (typeof value.byteLength === 'number') return value.byteLength; // ArrayBuffer, Uint8Array 등
+    if (Array.isArray(value)) return value.reduce((sum, item) => sum + estimateSize(item), 0);
+    return Object.entries(value).reduce((sum, [key, item]) => sum + key.length * 2 + estimateSize(item), 0);
+}
+
+/**
+ * 범위에 든 레코드의 크기 추정
+ * 큰 채팅방은 모두 읽으면 오래 걸리므로 앞쪽 SIZE_SAMPLE_COUNT개의 평균에 개수를 곱한다.
+ * @returns {Promise<{bytes: number, rawBytes: number}>} rawBytes는 압축한 청크를 압축하기 전 크기로 센 값
+ */
+async function estimateRange(storeName, range) {
+    const database = await openDatabase();
+    const transaction = database.transaction(storeName, 'readonly');
+    const store = transaction.objectStore(storeName);
+    const [count, sample] = await Promise.all([
+        requestResult(store.count(range)),
+        requestResult(store.getAll(range, SIZE_SAMPLE_COUNT))
+    ]);
+    await transactionDone(transaction);
+    if (sample.length === 0) return { bytes: 0, rawBytes: 0 };
+    const average = size => Math.round(sample.reduce((sum, record) => sum + size(record), 0) / sample.length * count);
+    return {
+        bytes: average(estimateSize),
+        rawBytes: average(record => record.rawBytes ?? estimateSize(record))
+    };
+}
+
+/**
+ * 채팅방별(불러오다 멈춘 것 포함)과 검색 결과의 대략적인 저장 공간
+ * rawBytes는 청크를 압축하지 않았을 때의 크기로, 압축으로 줄인 만큼을 보여 준다.
+ * @returns {Promise<{chats: Array<{id, title, bytes, rawBytes, unfinished}>, searchCacheBytes: number}>}
+ */
+async function storageUsage() {
+    const chats = [
+        ...(await readChats()).map(chat => ({ id: chat.id, title: chat.title, unfinished: false })),
+        ...(await readCheckpoints()).map(checkpoint => ({
+            id: checkpoint.chatId,
+            title: checkpoint.file.name,
+            unfinished: true
+        }))
+    ];
+    for (const chat of chats) {
+        const chunks = await estimateRange(SOURCE_STORE_NAME, chatRange(chat.id));
+        const index = await estimateRange(INDEX_STORE_NAME, IDBKeyRange.bound([chat.id], [chat.id, []]));
+        chat.bytes = chunks.bytes + index.bytes;
+        chat.rawBytes = chunks.rawBytes + index.bytes;
+    }
+    return {
+        chats: chats.sort((a, b) => b.bytes - a.bytes),
+        searchCacheBytes: (await estimateRange(SEARCH_STORE_NAME, null)).bytes
+    };
+}
+
+/**
+ * 저장된 검색 결과 비우기 (진행 중인 검색도 멈춘다)
+ */
+async function clearSearchCache() {
     activeSearchId++;
-    await clearStoredData();
+    await clearSearchResults();
+    return true;
+}
 
-    const batch = [];
-    const senderCounts = new Map();
-    const dates = [];
-    const parser = new self.KakaoTalkStreamParser(entry => {
-        delete entry.raw;
-        batch.push(entry);
-        if (entry.type === 'date') dates.push({ date: entry.date, index: entry.index });
-        if (entry.type === 'message') {
-            senderCounts.set(entry.sender, (senderCounts.get(entry.sender) || 0) + 1);
+/**
+ * 보관함 백업 파일 만들기
+ * gzip으로 압축한 JSON Lines로, 머리말 뒤에 채팅방마다 채팅방 정보와 그 청크가 이어지고 개수를 적은 끝 줄로 마친다.
+ * 항목을 복호화한 그대로 담아 다른 기기에서 파일을 다시 파싱하지 않고 복원할 수 있다.
+ * 불러오다 멈춘 채팅방, 검색 결과, 2-gram 색인은 담지 않는다 (색인은 복원할 때 다시 만든다).
+ * @param {Object} [preferences] - 화면 쪽 설정 (글자 크기 등)
+ * @returns {Promise<Blob>}
+ */
+async function exportBackup(preferences = {}) {
+    const lines = backupLines(await readChats(), preferences);
+    const stream = new ReadableStream({
+        async pull(controller) {
+            const { value, done } = await lines.next();
+            if (done) controller.close();
+            else controller.enqueue(`${JSON.stringify(value)}\n`);
         }
     });
-    const reader = file.stream().getReader();
-    const decoder = new TextDecoder('utf-8');
-    let loaded = 0;
+    return new Response(
+        stream.pipeThrough(new TextEncoderStream()).pipeThrough(new CompressionStream('gzip'))
+    ).blob();
+}
+
+async function* backupLines(chats, preferences) {
+    yield { type: 'header', format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: Date.now(), preferences };
+    let chunkCount = 0;
+    for (const chat of chats) {
+        const keys = await chunkKeys(chat.id);
+        yield { type: 'chat', chat, chunks: keys.length };
+        for (const key of keys) {
+            yield { type: 'chunk', chatId: chat.id, start: key[1], entries: await readChunk(key) };
+            chunkCount++;
+        }
+    }
+    yield { type: 'end', chats: chats.length, chunks: chunkCount };
+}
 
+/**
+ * gzip으로 압축한 JSON Lines 파일을 한 줄씩 읽기
+ * @param {Function} onRead - 파일에서 읽은 (압축된) 바이트 수를 받는다
+ */
+async function* readJsonLines(file, onRead) {
+    const counter = new TransformStream({
+        transform(chunk, controller) {
+            onRead(chunk.byteLength);
+            controller.enqueue(chunk);
+        }
+    });
+    const reader = file.stream()
+        .pipeThrough(counter)
+        .pipeThrough(new DecompressionStream('gzip'))
+        .pipeThrough(new TextDecoderStream())
+        .getReader();
+    let buffer = '';
     while (true) {
         const { value, done } = await reader.read();
         if (done) break;
-        loaded += value.byteLength;
-        parser.pushChunk(decoder.decode(value, { stream: true }));
-        while (batch.length >= SOURCE_BATCH_SIZE) {
-            await putBatch(batch.splice(0, SOURCE_BATCH_SIZE));
+        const lines = (buffer + value).split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line) yield JSON.parse(line);
         }
-        self.postMessage({ type: 'progress', loaded, total: file.size });
     }
+    if (buffer) yield JSON.parse(buffer);
+}
 
-    parser.pushChunk(decoder.decode());
-    const metadata = parser.finish();
-    while (batch.length > 0) await putBatch(batch.splice(0, SOURCE_BATCH_SIZE));
-    self.postMessage({ type: 'progress', loaded: file.size, total: file.size });
+/**
+ * 백업 파일로 보관함 채우기
+ * 청크는 새 id로 저장한 뒤 백업의 채팅방 id로 옮기므로, 같은 채팅방이 이미 있으면 복원한 것으로 바뀐다.
+ * 끝 줄까지 확인한 뒤에 채팅방 정보를 저장하므로, 파일이 잘렸거나 틀린 줄이 있으면 그때까지 쓴 청크를 지우고 보관함은 그대로 둔다.
+ * @param {File} file - exportBackup()이 만든 파일
+ * @returns {Promise<{chats: number, preferences: Object}>} 복원한 채팅방 수와 백업에 담긴 화면 설정
+ */
+async function restoreBackup(file) {
+    activeSearchId++;
+    const indexing = !(await activeCipher()); // 잠겨 있으면 파일을 읽기 전에 멈춘다
+    const restored = new Map(); // 백업의 채팅방 id → { chat, id, chunks, expected }
+    const invalid = reason => new Error(`올바른 백업 파일이 아닙니다: ${reason}`);
+    let header = null;
+    let end = null;
+    let current = null;
+    let indexer = null;
+    let loaded = 0;
+    let messages = 0;
+    const flushIndex = async () => {
+        if (current && indexer) await putIndexSegment(current.id, indexer.flush());
+    };
 
-    return {
+    try {
+        const records = readJsonLines(file, bytes => {
+            loaded += bytes;
+        });
+        while (true) {
+            let next;
+            try {
+                next = await records.next();
+            } catch (error) {
+                throw invalid(error instanceof SyntaxError ? '읽을 수 없는 줄이 있습니다.' : 'gzip 파일이 아닙니다.');
+            }
+            if (next.done) break;
+            const record = next.value;
+
+            if (!header) {
+                if (record?.type !== 'header' || record.format !== BACKUP_FORMAT) throw invalid('머리말이 없습니다.');
+                if (!(record.version <= BACKUP_VERSION)) {
+                    throw new Error('더 새 버전의 뷰어에서 만든 백업입니다. 뷰어를 새로 고친 뒤 다시 시도해주세요.');
+                }
+                header = record;
+            } else if (end) {
+                throw invalid('끝 줄 뒤에 내용이 있습니다.');
+            } else if (record?.type === 'chat') {
+                const { chat } = record;
+                if (typeof chat?.id !== 'string' || restored.has(chat.id) || !Number.isInteger(record.chunks)) {
+                    throw invalid('채팅방 정보가 잘못되었습니다.');
+                }
+                await flushIndex();
+                current = { chat, id: self.crypto.randomUUID(), chunks: 0, expected: record.chunks };
+                indexer = indexing ? new self.BigramIndex() : null;
+                restored.set(chat.id, current);
+            } else if (record?.type === 'chunk') {
+                const { entries } = record;
+                if (record.chatId !== current?.chat.id || !Array.isArray(entries) || entries[0]?.index !== record.start) {
+                    throw invalid('채팅방에 속하지 않은 청크가 있습니다.');
+                }
+                await putBatch(current.id, entries);
+                for (const entry of entries) {
+                    if (entry.type !== 'message') continue;
+                    messages++;
+                    indexer?.add(entry.index, entry.content);
+                }
+                if (indexer?.size >= INDEX_SEGMENT_SIZE) await putIndexSegment(current.id, indexer.flush());
+                current.chunks++;
+                self.postMessage({ type: 'progress', loaded, total: file.size, messages });
+            } else if (record?.type === 'end') {
+                const chunks = [...restored.values()].reduce((sum, chat) => sum + chat.chunks, 0);
+                const complete = [...restored.values()].every(chat => chat.chunks === chat.expected);
+                if (record.chats !== restored.size || record.chunks !== chunks || !complete) {
+                    throw invalid('채팅방이나 청크 개수가 맞지 않습니다.');
+                }
+                await flushIndex();
+                end = record;
+            } else {
+                throw invalid('알 수 없는 줄이 있습니다.');
+            }
+        }
+        if (!end) throw invalid(header ? '파일이 중간에 잘렸습니다.' : '빈 파일입니다.');
+    } catch (error) {
+        for (const { id } of restored.values()) {
+            await deleteChat(id, false).catch(cleanupError => console.error('복원 되돌리기 실패:', cleanupError));
+        }
+        throw error;
+    }
+
+    // 같은 id의 채팅방이 있으면 백업의 대화로 바꿔 넣는다
+    for (const [backupId, { chat, id }] of restored) {
+        await putChat({ ...chat, id, indexed: indexing });
+        await replaceChat(id, backupId);
+        announce({ kind: 'imported', chatId: backupId });
+    }
+    return { chats: restored.size, preferences: header.preferences || {} };
+}
+
+async function clearSearchResults() {
+    const database = await openDatabase();
+    const transaction = database.transaction(SEARCH_STORE_NAME, 'readwrite');
+    transaction.objectStore(SEARCH_STORE_NAME).clear();
+    await transactionDone(transaction);
+}
+
+async function putBatch(chatId, entries) {
+    if (entries.length === 0) return;
+    const record = await packRecord({ chatId, start: entries[0].index }, entries);
+    const database = await openDatabase();
+    const transaction = database.transaction(SOURCE_STORE_NAME, 'readwrite');
+    transaction.objectStore(SOURCE_STORE_NAME).put(record);
+    await transactionDone(transaction);
+}
+
+/**
+ * 2-gram 목록 한 조각 저장 (키에 조각의 첫 인덱스가 들어가 이어 붙이기에도 겹치지 않는다)
+ */
+async function putIndexSegment(chatId, segment) {
+    if (!segment) return;
+    const database = await openDatabase();
+    const transaction = database.transaction(INDEX_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(INDEX_STORE_NAME);
+    for (const { gram, postings } of segment.grams) {
+        store.put({ chatId, gram, start: segment.start, postings });
+    }
+    await transactionDone(transaction);
+}
+
+async function chunkKeys(chatId) {
+    const database = await openDatabase();
+    const transaction = database.transaction(SOURCE_STORE_NAME, 'readonly');
+    const keys = await requestResult(transaction.objectStore(SOURCE_STORE_NAME).getAllKeys(chatRange(chatId)));
+    await transactionDone(transaction);
+    return keys;
+}
+
+async function readChunk(key) {
+    const database = await openDatabase();
+    const transaction = database.transaction(SOURCE_STORE_NAME, 'readonly');
+    const chunk = await requestResult(transaction.objectStore(SOURCE_STORE_NAME).get(key));
+    await transactionDone(transaction);
+    return unpackRecord(chunk);
+}
+
+/**
+ * 이어 붙이기 기준 읽기
+ * 5000개 단위 청크 경계를 지키도록 채워지지 않은 마지막 청크는 다시 쓰고,
+ * 마지막 분의 항목은 새 파일에서 겹치는 부분을 찾는 데 쓴다.
+ * @returns {Promise<{partial: Array, tail: Array}>}
+ */
+async function readStoredTail(chatId) {
+    const keys = await chunkKeys(chatId);
+    if (keys.length === 0) throw new Error('이어 붙일 대화가 없습니다. 먼저 파일을 불러와주세요.');
+
+    const tail = [];
+    let partial = null;
+    let lastTimestamp = null;
+    for (let chunk = keys.length - 1; chunk >= 0; chunk--) {
+        const entries = await readChunk(keys[chunk]);
+        partial ??= entries.length < SOURCE_BATCH_SIZE ? entries : [];
+        for (let index = entries.length - 1; index >= 0; index--) {
+            const entry = entries[index];
+            if (entry.timestamp != null) {
+                lastTimestamp ??= entry.timestamp;
+                if (entry.timestamp < lastTimestamp) return { partial, tail };
+            }
+            tail.unshift(entry);
+        }
+    }
+    return { partial, tail };
+}
+
+/**
+ * 이어 붙인 항목 뒤의 2-gram 조각 지우기
+ * 조각의 시작 인덱스가 키 마지막에 있어 범위로 지울 수 없으므로 커서로 훑는다.
+ */
+async function deleteIndexSegmentsFrom(chatId, start) {
+    const database = await openDatabase();
+    const transaction = database.transaction(INDEX_STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(INDEX_STORE_NAME).openCursor(IDBKeyRange.bound([chatId], [chatId, []]));
+    request.addEventListener('success', () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (cursor.key[2] >= start) cursor.delete();
+        cursor.continue();
+    });
+    await transactionDone(transaction);
+}
+
+/**
+ * 새 id로 불러온 채팅방을 덮어쓸 채팅방 자리로 옮기기
+ * 트랜잭션 하나에서 원래 청크와 색인을 지우고 새 레코드의 id만 바꿔 옮기므로, 중간에 멈춰도 둘 중 하나는 온전히 남는다.
+ * 키 필드는 암호화하지 않아 레코드를 다시 봉인하지 않아도 된다.
+ */
+async function replaceChat(sourceId, targetId) {
+    const database = await openDatabase();
+    const transaction = database.transaction(
+        [SOURCE_STORE_NAME, SEARCH_STORE_NAME, CHAT_STORE_NAME, INDEX_STORE_NAME, CHECKPOINT_STORE_NAME],
+        'readwrite'
+    );
+    const move = (store, range, key) => {
+        store.delete(range(targetId));
+        const request = store.openCursor(range(sourceId));
+        request.addEventListener('success', () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            store.put({ ...cursor.value, [key]: targetId });
+            cursor.delete();
+            cursor.continue();
+        });
+    };
+    move(transaction.objectStore(SOURCE_STORE_NAME), chatRange, 'chatId');
+    move(transaction.objectStore(INDEX_STORE_NAME), id => IDBKeyRange.bound([id], [id, []]), 'chatId');
+    move(transaction.objectStore(CHAT_STORE_NAME), id => id, 'id');
+    transaction.objectStore(CHECKPOINT_STORE_NAME).delete(targetId);
+    transaction.objectStore(SEARCH_STORE_NAME).clear();
+    await transactionDone(transaction);
+}
+
+/**
+ * 중단된 가져오기가 남긴 청크 되돌리기
+ * 새로 가져오던 채팅방(덮어쓰려고 새 id로 불러오던 것 포함)은 통째로 지우고, 이어 붙이던 채팅방은 시작 전 상태로 돌린다.
+ */
+async function rollbackImport(chatId, base, stored) {
+    if (!base) {
+        await deleteChat(chatId);
+        return;
+    }
+    const firstChanged = base.totalEntries - stored.partial.length;
+    const database = await openDatabase();
+    const transaction = database.transaction(SOURCE_STORE_NAME, 'readwrite');
+    transaction.objectStore(SOURCE_STORE_NAME).delete(chatRange(chatId, firstChanged));
+    await transactionDone(transaction);
+    await putBatch(chatId, stored.partial);
+    await deleteIndexSegmentsFrom(chatId, base.totalEntries);
+}
+
+/**
+ * 체크포인트를 저장한 뒤에 쓴 청크와 색인 지우기
+ * 체크포인트의 batchStart 앞 청크와 batchStart + batchSize 앞 색인 조각만 체크포인트 시점에 다 저장된 것이다.
+ */
+async function restoreCheckpoint({ chatId, batchStart, batchSize }) {
+    const kept = batchSize > 0 ? (await readChunk([chatId, batchStart])).slice(0, batchSize) : [];
+    const database = await openDatabase();
+    const transaction = database.transaction(SOURCE_STORE_NAME, 'readwrite');
+    transaction.objectStore(SOURCE_STORE_NAME).delete(chatRange(chatId, batchStart));
+    await transactionDone(transaction);
+    await putBatch(chatId, kept);
+    await deleteIndexSegmentsFrom(chatId, batchStart + batchSize);
+}
+
+/**
+ * 진행 중인 가져오기 취소 요청 (읽기 루프가 다음 조각에서 멈추고 되돌린다)
+ * @param {number} importId - 가져오기 요청 id
+ * @returns {boolean} 취소할 가져오기가 있었는지
+ */
+function cancelImport(importId) {
+    if (activeImport?.id !== importId) return false;
+    activeImport.cancelled = true;
+    activeImport.controller.abort(new DOMException('가져오기를 취소했습니다.', 'AbortError'));
+    return true;
+}
+
+function throwIfCancelled(job) {
+    if (job.cancelled) throw new DOMException('가져오기를 취소했습니다.', 'AbortError');
+}
+
+/**
+ * 참여자별 통화 요약 누적 (전화를 건 사람 기준)
+ * @param {Map} callStats - 이름별 { name, calls, totalDuration, missedCalls }
+ * @param {Object} entry - messageType이 'call'인 메시지
+ */
+function recordCall(callStats, entry) {
+    if (!callStats.has(entry.sender)) {
+        callStats.set(entry.sender, { name: entry.sender, calls: 0, totalDuration: 0, missedCalls: 0 });
+    }
+    const stats = callStats.get(entry.sender);
+    if (entry.call.status === 'completed') {
+        stats.calls++;
+        stats.totalDuration += entry.call.duration || 0;
+    } else if (entry.call.status === 'missed' || entry.call.status === 'cancelled') {
+        stats.missedCalls++;
+    }
+}
+
+/**
+ * 마지막 줄바꿈 바로 뒤의 위치 (없으면 -1)
+ * 줄바꿈 바이트는 여러 바이트 글자 안에 나오지 않으므로 여기서 자르면 디코더에 남는 바이트가 없다.
+ * @param {Uint8Array} bytes - 읽은 조각
+ * @param {string} encoding - TextDecoder.encoding
+ * @param {number} offset - 조각의 파일 안 위치 (UTF-16 글자 경계 확인용)
+ */
+function lineBoundary(bytes, encoding, offset) {
+    const utf16 = encoding.startsWith('utf-16');
+    const newline = encoding === 'utf-16le' ? [0x0A, 0x00] : encoding === 'utf-16be' ? [0x00, 0x0A] : [0x0A];
+    for (let index = bytes.length - newline.length; index >= 0; index--) {
+        if (utf16 && (offset + index) % 2 !== 0) continue;
+        if (newline.every((byte, position) => bytes[index + position] === byte)) return index + newline.length;
+    }
+    return -1;
+}
+
+function createParser(firstText, file, onEntry) {
+    if (self.KakaoTalkCsvStreamParser.matches(firstText)) {
+        // CSV에는 제목 줄이 없으므로 파일 이름을 채팅방 이름으로 쓴다
+        return new self.KakaoTalkCsvStreamParser(onEntry, { title: file.name.replace(/\.csv$/i, '') });
+    }
+    return new self.KakaoTalkStreamParser(onEntry);
+}
+
+/**
+ * 인코딩 감지와 (여러 파일일 때) 정렬용 첫 시각 확인
+ * @returns {Promise<{file, encoding, firstTimestamp}>}
+ */
+async function probeFile(file, requestedEncoding, needsTimestamp, job) {
+    const encoding = requestedEncoding || self.KakaoTalkStreamParser.detectEncoding(
+        new Uint8Array(await file.slice(0, ENCODING_SAMPLE_SIZE).arrayBuffer())
+    );
+    if (!needsTimestamp) return { file, encoding, firstTimestamp: null };
+
+    let firstTimestamp = null;
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder(encoding);
+    let parser = null;
+    // 날짜 구분선은 자정 시각이라 같은 날 시작한 파일끼리 구분되지 않는다
+    const onEntry = entry => {
+        if (firstTimestamp === null && entry.type !== 'date' && entry.timestamp != null) {
+            firstTimestamp = entry.timestamp;
+        }
+    };
+    while (firstTimestamp === null) {
+        if (job.cancelled) break;
+        const { value, done } = await reader.read();
+        const text = done ? decoder.decode() : decoder.decode(value, { stream: true });
+        parser ||= createParser(text, file, onEntry);
+        parser.pushChunk(text);
+        if (done) {
+            parser.finish();
+            break;
+        }
+    }
+    await reader.cancel();
+    return { file, encoding, firstTimestamp: firstTimestamp ?? Infinity };
+}
+
+/**
+ * 파일 여러 개를 시작 시각 순으로 이어 붙여 하나의 타임라인으로 저장
+ * 겹치는 구간은 KakaoTalkTimelineMerger가 걸러낸다.
+ * @param {File[]} files - 내보내기 파일
+ * @param {string} [requestedEncoding] - 자동 감지 대신 사용할 인코딩
+ * @param {Object} [options]
+ * @param {string} [options.chatId] - 덮어쓸(또는 이어 붙일) 채팅방. 없으면 새 채팅방을 만든다.
+ *   덮어쓸 때는 새 id로 불러온 뒤 다 되면 바꿔 넣으므로, 취소하거나 실패하면 원래 대화가 그대로 남는다.
+ * @param {boolean} [options.append] - 저장된 대화 뒤에 새 항목만 이어 붙이기
+ * @param {boolean} [options.resume] - chatId의 체크포인트부터 이어서 불러오기
+ * @param {number} [options.id] - 취소 요청에 쓰는 가져오기 요청 id
+ * @returns {Promise<Object>} 보관함에 저장한 채팅방 정보. 취소하거나 실패하면 남긴 청크를 되돌린다
+ *   (이어서 불러오던 채팅방은 마지막 체크포인트까지 남긴다).
+ */
+async function importFiles(files, requestedEncoding, { id, ...options } = {}) {
+    const job = { id, cancelled: false, controller: new AbortController() };
+    activeImport = job;
+    try {
+        // 다른 탭의 가져오기가 끝날 때까지 기다린다 (기다리는 동안에도 취소할 수 있다)
+        return await withWriteLock(() => importLocked(files, requestedEncoding, options, job), job.controller.signal);
+    } finally {
+        if (activeImport === job) activeImport = null;
+    }
+}
+
+/**
+ * 쓰기 잠금을 쥔 뒤의 importFiles
+ */
+async function importLocked(files, requestedEncoding, { chatId, append = false, resume = false }, job) {
+    activeSearchId++;
+    const encrypted = Boolean(await activeCipher()); // 잠겨 있으면 파일을 읽기 전에 멈춘다
+    let base = null;
+    let stored = null;
+    let checkpoint = null;
+    let replaces = null; // 덮어쓸 채팅방, 새 id로 불러온 뒤 다 되면 그 자리로 옮긴다
+    if (append) {
+        base = await getChat(chatId);
+        stored = await readStoredTail(chatId);
+        await clearSearchResults();
+    } else if (resume) {
+        checkpoint = (await readCheckpoints()).find(saved => saved.chatId === chatId);
+        if (!checkpoint || !isSameFile(checkpoint.file, files[0])) {
+            throw new Error('이어서 불러올 기록이 없습니다. 파일을 처음부터 다시 불러와주세요.');
+        }
+        // 탭이 닫히기 전에 체크포인트 뒤로 더 써 둔 청크와 색인은 이번에 다시 쓴다
+        await restoreCheckpoint(checkpoint);
+        await clearSearchResults();
+    } else {
+        // 원래 청크는 다 불러올 때까지 남겨 두어, 취소하거나 실패해도 원래 대화가 그대로 남는다
+        replaces = chatId ?? null;
+        chatId = self.crypto.randomUUID();
+    }
+
+    try {
+        let chat = await readFiles(files, requestedEncoding, { chatId, base, stored, checkpoint, encrypted, job });
+        if (replaces) {
+            // 바꿔 넣은 뒤에는 원래 대화로 돌릴 수 없으므로, 카카오톡 대화가 아니면 여기서 멈추고 되돌린다
+            if (!chat.title || !(chat.totalEntries > 0) || !(chat.totalMessages > 0)) {
+                throw new Error(`올바른 카카오톡 채팅 내보내기 파일이 아닙니다. (인코딩: ${chat.encoding.toUpperCase()})`);
+            }
+            await replaceChat(chatId, replaces);
+            chat = { ...chat, id: replaces };
+        }
+        announce({ kind: append ? 'appended' : 'imported', chatId: chat.id });
+        return chat;
+    } catch (error) {
+        // 되돌리기가 실패해도 사용자에게는 원래 오류(취소, 용량 부족 등)를 알린다.
+        // 이어서 불러오던 채팅방은 지우지 않고 마지막 체크포인트로 돌려, 다음에 거기서부터 다시 이어서 불러온다.
+        const latest = checkpoint && (await readCheckpoints().catch(() => [])).find(saved => saved.chatId === chatId);
+        await (latest ? restoreCheckpoint(latest) : rollbackImport(chatId, base, stored)).catch(rollbackError => {
+            console.error('가져오기 되돌리기 실패:', rollbackError);
+        });
+        throw error;
+    }
+}
+
+/**
+ * importFiles의 읽기 단계: 파일을 파싱해 청크와 색인을 저장하고 채팅방 정보를 만든다
+ * 새 채팅방에 파일 하나를 불러올 때는 CHECKPOINT_INTERVAL마다 체크포인트를 남겨,
+ * 탭이 닫혀도 같은 파일을 다시 고르면 그 위치부터 file.slice(offset)로 이어서 읽는다.
+ */
+async function readFiles(files, requestedEncoding, { chatId, base, stored, checkpoint, encrypted, job }) {
+    if (checkpoint) requestedEncoding = checkpoint.requestedEncoding;
+    const sources = [];
+    if (checkpoint) {
+        sources.push({ file: files[0], encoding: checkpoint.encoding });
+    } else {
+        for (const file of files) {
+            sources.push(await probeFile(file, requestedEncoding, files.length > 1, job));
+            throwIfCancelled(job);
+        }
+        sources.sort((a, b) => a.firstTimestamp - b.firstTimestamp);
+    }
+
+    const batch = stored ? [...stored.partial] : [];
+    if (checkpoint?.batchSize > 0) batch.push(...await readChunk([chatId, checkpoint.batchStart]));
+    const senderCounts = new Map(checkpoint
+        ? checkpoint.senderCounts
+        : (base?.users || []).map(user => [user.name, user.messageCount]));
+    const callStats = new Map(checkpoint
+        ? checkpoint.callStats
+        : (base?.callStats || []).map(stats => [stats.name, { ...stats }]));
+    const dates = checkpoint ? checkpoint.dates : base ? [...base.dates] : [];
+    // 색인 없이 저장된 대화에 이어 붙일 때는 색인을 만들어도 검색에 쓸 수 없다
+    const indexed = checkpoint ? checkpoint.indexed : !base || base.indexed;
+    const indexer = !encrypted && indexed ? new self.BigramIndex() : null;
+    const merger = new self.KakaoTalkTimelineMerger(entry => {
+        batch.push(entry);
+        if (entry.type === 'message') indexer?.add(entry.index, entry.content);
+        if (entry.type === 'date') {
+            dates.push({ date: entry.date, index: entry.index, timestamp: entry.timestamp });
+        }
+        if (entry.type === 'message' && entry.sender) {
+            senderCounts.set(entry.sender, (senderCounts.get(entry.sender) || 0) + 1);
+            if (entry.call) recordCall(callStats, entry);
+        }
+    });
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    // 이어 붙일 때는 먼저 불러온 파일들의 경고도 그대로 둔다
+    const diagnostics = base?.diagnostics
+        ? structuredClone(base.diagnostics)
+        : { total: 0, counts: { orphan: 0, suspiciousHeader: 0, unknownDate: 0 }, items: [] };
+    const checkpointing = files.length === 1 && !base;
+    let metadata = base;
+    let loaded = checkpoint?.offset ?? 0;
+    const resumedFrom = loaded;
+    const startedAt = performance.now();
+    // 처리 속도는 이번에 읽은 바이트 기준이라 시작 직후에는 남은 시간을 알리지 않는다
+    const reportProgress = () => {
+        const seconds = (performance.now() - startedAt) / 1000;
+        const bytesPerSecond = seconds > 0 ? (loaded - resumedFrom) / seconds : 0;
+        self.postMessage({
+            type: 'progress',
+            loaded,
+            total: totalSize,
+            messages: merger.files.reduce((sum, file) => sum + file.messages, 0),
+            bytesPerSecond,
+            remainingSeconds: bytesPerSecond > 0 && seconds >= 1 ? (totalSize - loaded) / bytesPerSecond : null
+        });
+    };
+    if (stored) merger.resume(base.totalEntries, stored.tail);
+
+    for (const { file, encoding } of sources) {
+        const reader = (checkpoint ? file.slice(checkpoint.offset) : file).stream().getReader();
+        const decoder = new TextDecoder(encoding);
+        let parser = null;
+        let pendingDiagnostic = 0;
+        // 파일 안 인덱스로 기록된 경고를 합쳐진 타임라인의 인덱스로 옮긴다
+        const remapDiagnostics = fileIndex => {
+            const items = parser.metadata.diagnostics.items;
+            while (pendingDiagnostic < items.length && items[pendingDiagnostic].index <= fileIndex) {
+                items[pendingDiagnostic++].index = merger.nextIndex;
+            }
+        };
+        const onEntry = entry => {
+            delete entry.raw;
+            remapDiagnostics(entry.index);
+            merger.push(entry);
+        };
+        if (checkpoint) {
+            merger.restore(checkpoint.merger);
+            parser = checkpoint.csv
+                ? new self.KakaoTalkCsvStreamParser(onEntry)
+                : new self.KakaoTalkStreamParser(onEntry);
+            parser.restore(checkpoint.parser);
+            pendingDiagnostic = checkpoint.pendingDiagnostic;
+        } else {
+            merger.beginFile(file.name);
+            merger.current.encoding = encoding;
+        }
+        const consume = async bytes => {
+            loaded += bytes.byteLength;
+            const text = decoder.decode(bytes, { stream: true });
+            parser ||= createParser(text, file, onEntry);
+            parser.pushChunk(text);
+            while (batch.length >= SOURCE_BATCH_SIZE) {
+                await putBatch(chatId, batch.splice(0, SOURCE_BATCH_SIZE));
+            }
+            if (indexer?.size >= INDEX_SEGMENT_SIZE) await putIndexSegment(chatId, indexer.flush());
+        };
+        // 줄 경계까지 읽은 상태를 저장한다. 그 앞의 항목과 색인은 모두 저장소에 들어가 있어야 한다.
+        const saveCheckpoint = async () => {
+            await putBatch(chatId, batch);
+            await putIndexSegment(chatId, indexer?.flush());
+            await putCheckpoint({
+                chatId,
+                file: { name: file.name, size: file.size, lastModified: file.lastModified },
+                offset: loaded,
+                encoding,
+                requestedEncoding,
+                csv: parser instanceof self.KakaoTalkCsvStreamParser,
+                parser: parser.snapshot(),
+                pendingDiagnostic,
+                merger: merger.snapshot(),
+                batchStart: batch[0]?.index ?? merger.nextIndex,
+                batchSize: batch.length,
+                senderCounts: [...senderCounts],
+                callStats: [...callStats],
+                dates,
+                indexed: Boolean(indexer),
+                savedAt: Date.now()
+            });
+        };
+        let savedOffset = loaded;
+
+        while (true) {
+            if (job.cancelled) {
+                await reader.cancel();
+                throwIfCancelled(job);
+            }
+            const { value, done } = await reader.read();
+            if (done) break;
+            const cut = checkpointing && loaded + value.byteLength - savedOffset >= CHECKPOINT_INTERVAL
+                ? lineBoundary(value, decoder.encoding, loaded)
+                : -1;
+            if (cut > 0) {
+                await consume(value.subarray(0, cut));
+                await saveCheckpoint();
+                savedOffset = loaded;
+                await consume(value.subarray(cut));
+            } else {
+                await consume(value);
+            }
+            reportProgress();
+        }
+
+        const rest = decoder.decode();
+        parser ||= createParser(rest, file, onEntry);
+        parser.pushChunk(rest);
+        const fileMetadata = parser.finish();
+        remapDiagnostics(Infinity);
+        metadata ||= fileMetadata;
+
+        diagnostics.total += fileMetadata.diagnostics.total;
+        for (const [kind, count] of Object.entries(fileMetadata.diagnostics.counts)) {
+            diagnostics.counts[kind] = (diagnostics.counts[kind] || 0) + count;
+        }
+        diagnostics.items.push(...fileMetadata.diagnostics.items.map(item => (
+            files.length > 1 || base ? { ...item, file: file.name } : item
+        )));
+    }
+    while (batch.length > 0) await putBatch(chatId, batch.splice(0, SOURCE_BATCH_SIZE));
+    await putIndexSegment(chatId, indexer?.flush());
+    throwIfCancelled(job);
+    loaded = totalSize;
+    reportProgress();
+
+    // 체크포인트를 먼저 지운다. 거꾸로 하면 그 사이에 멈췄을 때 다 불러온 채팅방을 이어서 불러오자고 묻게 된다.
+    await deleteCheckpoint(chatId);
+    const now = Date.now();
+    return putChat({
         ...metadata,
+        id: chatId,
+        importedAt: base?.importedAt ?? now,
+        updatedAt: now,
+        openedAt: now,
+        totalEntries: merger.nextIndex,
+        totalMessages: (base?.totalMessages || 0) + merger.files.reduce((sum, file) => sum + file.messages, 0),
+        diagnostics,
         users: [...senderCounts.entries()]
             .map(([name, messageCount]) => ({ name, messageCount }))
             .sort((a, b) => b.messageCount - a.messageCount),
-        dates
-    };
+        dates,
+        callStats: [...callStats.values()].sort((a, b) => b.totalDuration - a.totalDuration),
+        files: [...(base?.files || []), ...merger.files],
+        indexed: Boolean(indexer),
+        encoding: sources[0].encoding,
+        encodingDetected: !requestedEncoding
+    });
 }
 
-async function getRange(start, count) {
+async function getRange(chatId, start, count) {
     if (count <= 0) return [];
     const database = await openDatabase();
     const transaction = database.transaction(SOURCE_STORE_NAME, 'readonly');
     const firstChunk = Math.floor(start / SOURCE_BATCH_SIZE) * SOURCE_BATCH_SIZE;
     const lastIndex = start + count - 1;
     const lastChunk = Math.floor(lastIndex / SOURCE_BATCH_SIZE) * SOURCE_BATCH_SIZE;
-    const range = IDBKeyRange.bound(firstChunk, lastChunk);
+    const range = chatRange(chatId, firstChunk, lastChunk);
     const chunks = await requestResult(transaction.objectStore(SOURCE_STORE_NAME).getAll(range));
     await transactionDone(transaction);
-    return chunks
-        .flatMap(chunk => chunk.entries)
+    return (await Promise.all(chunks.map(unpackRecord)))
+        .flat()
         .filter(entry => entry.index >= start && entry.index <= lastIndex);
 }
 
-async function searchMessages(id, query) {
-    activeSearchId = id;
-    const normalizedQuery = query.toLocaleLowerCase();
+/**
+ * 검색 결과 청크 저장
+ * @returns {Promise<boolean>} 새 검색이 시작돼 저장하지 않았으면 false
+ */
+async function putSearchBatch(id, start, entries) {
+    const record = await packRecord({ start }, entries);
     const database = await openDatabase();
-    const transaction = database.transaction([SOURCE_STORE_NAME, SEARCH_STORE_NAME], 'readwrite');
-    const searchStore = transaction.objectStore(SEARCH_STORE_NAME);
-    const request = transaction.objectStore(SOURCE_STORE_NAME).openCursor(null, 'prev');
-    let batch = [];
-    let total = 0;
-    let cancelled = false;
+    // 확인과 저장 사이에 await가 없어야 새 검색이 비운 저장소에 이전 결과가 섞이지 않는다
+    if (activeSearchId !== id) return false;
+    const transaction = database.transaction(SEARCH_STORE_NAME, 'readwrite');
+    transaction.objectStore(SEARCH_STORE_NAME).put(record);
+    await transactionDone(transaction);
+    return true;
+}
 
-    searchStore.clear();
+/**
+ * 색인에서 검색어의 2-gram을 모두 가진 메시지 인덱스 찾기 (오름차순)
+ */
+async function findCandidates(chatId, grams) {
+    const database = await openDatabase();
+    const transaction = database.transaction(INDEX_STORE_NAME, 'readonly');
+    const store = transaction.objectStore(INDEX_STORE_NAME);
+    const segments = await Promise.all(grams.map(gram => (
+        requestResult(store.getAll(IDBKeyRange.bound([chatId, gram, 0], [chatId, gram, Infinity])))
+    )));
+    await transactionDone(transaction);
 
-    return new Promise((resolve, reject) => {
-        request.addEventListener('error', () => reject(request.error));
-        transaction.addEventListener('complete', () => {
-            resolve(activeSearchId === id ? { total } : null);
-        });
-        transaction.addEventListener('abort', () => {
-            if (cancelled) resolve(null);
-            else reject(transaction.error || new Error('검색 결과 저장에 실패했습니다.'));
-        });
-        transaction.addEventListener('error', () => {
-            if (!cancelled) reject(transaction.error);
-        });
-        request.addEventListener('success', () => {
-            if (activeSearchId !== id) {
-                cancelled = true;
-                transaction.abort();
-                return;
-            }
+    // 조각은 시작 인덱스 순으로 읽히므로 이어 붙여도 오름차순이다
+    const lists = segments.map(records => {
+        const postings = new Uint32Array(records.reduce((sum, record) => sum + record.postings.length, 0));
+        let offset = 0;
+        for (const record of records) {
+            postings.set(record.postings, offset);
+            offset += record.postings.length;
+        }
+        return postings;
+    });
+    return self.BigramIndex.intersect(lists);
+}
 
-            const cursor = request.result;
-            if (!cursor) {
-                if (batch.length > 0) {
-                    searchStore.put({ start: total - batch.length, entries: batch });
-                }
+/**
+ * 읽을 청크와 그 안에서 확인할 위치 (최신 청크부터)
+ * 모든 결과에 들어 있어야 하는 문구가 있고 색인이 있으면 후보가 있는 청크만, 아니면 모든 청크를 훑는다.
+ */
+async function searchPlan(chatId, query) {
+    const chat = await getChat(chatId);
+    const grams = [...new Set(self.SearchQuery.requiredText(query).flatMap(text => self.BigramIndex.grams(text)))];
+    if (!chat.indexed || grams.length === 0) {
+        return (await chunkKeys(chatId)).reverse().map(key => ({ key, indexes: null }));
+    }
+
+    const byChunk = new Map();
+    for (const index of await findCandidates(chatId, grams)) {
+        const start = Math.floor(index / SOURCE_BATCH_SIZE) * SOURCE_BATCH_SIZE;
+        if (!byChunk.has(start)) byChunk.set(start, []);
+        byChunk.get(start).push(index);
+    }
+    return [...byChunk]
+        .reverse()
+        .map(([start, indexes]) => ({ key: [chatId, start], indexes: indexes.reverse() }));
+}
+
+/**
+ * 정규식이 맞는 곳을 regex-worker에서 구하기
+ * 정규식 한 번의 실행은 멈출 수 없으므로, budget 안에 답이 없으면 그 Worker를 종료해 이 Worker가 붙잡히지 않게 한다.
+ * 새로 띄운 Worker가 스크립트를 읽는 시간은 budget에 넣지 않도록, 준비됐다고 알린 뒤에 보내고 시간을 잰다.
+ * @param {string} source - 정규식
+ * @param {string[]} texts - 메시지 내용
+ * @param {number} budget - 기다릴 시간 (ms)
+ * @returns {Promise<Array<Array<number[]>>>} 문자열마다 [위치, 길이] 목록
+ */
+function matchRegex(source, texts, budget) {
+    if (typeof self.Worker !== 'function') {
+        return Promise.reject(new Error('이 브라우저에서는 정규식 검색을 쓸 수 없습니다.'));
+    }
+    if (!regexWorker) {
+        regexWorker = new self.Worker('regex-worker.js');
+        regexWorker.addEventListener('message', event => {
+            if (event.data.ready) {
+                regexWorkerReady = true;
+                regexRequests.forEach(sendRegexRequest);
                 return;
             }
+            const request = regexRequests.get(event.data.id);
+            if (!request) return;
+            regexRequests.delete(event.data.id);
+            clearTimeout(request.timer);
+            request.resolve(event.data.ranges);
+        });
+        regexWorker.addEventListener('error', event => {
+            event.preventDefault?.();
+            stopRegexWorker(new Error('정규식을 실행하지 못했습니다.'));
+        });
+    }
+    const id = ++nextRegexRequestId;
+    return new Promise((resolve, reject) => {
+        const request = { resolve, reject, timer: null, message: { id, source, texts }, budget };
+        regexRequests.set(id, request);
+        if (regexWorkerReady) sendRegexRequest(request);
+    });
+}
+
+function sendRegexRequest(request) {
+    request.timer = setTimeout(() => {
+        stopRegexWorker(new Error('정규식 검색이 너무 오래 걸려 멈췄습니다. 더 단순한 패턴으로 다시 시도해주세요.'));
+    }, request.budget);
+    regexWorker.postMessage(request.message);
+}
 
-            const messages = cursor.value.entries;
-            for (let index = messages.length - 1; index >= 0; index--) {
-                const message = messages[index];
-                if (message.type === 'message' &&
-                    message.content?.toLocaleLowerCase().includes(normalizedQuery)) {
-                    batch.push({
-                        index: message.index,
-                        sender: message.sender,
-                        time: message.time,
-                        date: message.date,
-                        content: message.content
-                    });
-                    total++;
-                    if (batch.length === SEARCH_BATCH_SIZE) {
-                        searchStore.put({ start: total - SEARCH_BATCH_SIZE, entries: batch });
-                        batch = [];
-                    }
+function stopRegexWorker(error) {
+    regexWorker?.terminate();
+    regexWorker = null;
+    regexWorkerReady = false;
+    for (const { reject, timer } of regexRequests.values()) {
+        clearTimeout(timer);
+        reject(error);
+    }
+    regexRequests.clear();
+}
+
+/**
+ * 최신 메시지부터 청크 단위로 읽어 검색 결과를 저장
+ * 복호화가 비동기라 커서 하나로 훑지 않고 청크마다 따로 읽는다.
+ * 정규식은 청크마다 matchRegex()로 맞는 곳을 구해 message.matches에 두고, 결과에도 담아 화면이 그대로 강조한다.
+ * @param {{clauses: Array<Array<Object>>}} query - 화면에서 SearchQuery.parse()나 regex()로 해석한 검색어
+ */
+async function searchMessages(id, chatId, query) {
+    activeSearchId = id;
+    const matches = self.SearchQuery.compile(query);
+    const regex = self.SearchQuery.regexSource(query);
+    await clearSearchResults();
+    const plan = await searchPlan(chatId, query);
+    let batch = [];
+    let total = 0;
+
+    for (const { key, indexes } of plan) {
+        if (activeSearchId !== id) return null;
+        const messages = await readChunk(key);
+        const start = key[1];
+        const positions = indexes
+            ? indexes.map(index => index - start)
+            : Array.from({ length: messages.length }, (_, position) => messages.length - 1 - position);
+        if (regex !== null) {
+            const contents = positions.map(position => (
+                messages[position]?.type === 'message' ? messages[position].content ?? '' : ''
+            ));
+            const ranges = await matchRegex(regex, contents, REGEX_CHUNK_BUDGET);
+            positions.forEach((position, order) => {
+                if (messages[position]) messages[position].matches = ranges[order];
+            });
+        }
+        for (const position of positions) {
+            const message = messages[position];
+            if (message?.type === 'message' && matches(message)) {
+                const result = {
+                    index: message.index,
+                    sender: message.sender,
+                    time: message.time,
+                    timestamp: message.timestamp,
+                    date: message.date,
+                    content: message.content
+                };
+                if (regex !== null) result.matches = message.matches;
+                batch.push(result);
+                total++;
+                if (batch.length === SEARCH_BATCH_SIZE) {
+                    if (!(await putSearchBatch(id, total - SEARCH_BATCH_SIZE, batch))) return null;
+                    batch = [];
                 }
             }
-            cursor.continue();
-        });
-    });
+        }
+    }
+    if (batch.length > 0 && !(await putSearchBatch(id, total - batch.length, batch))) return null;
+    return activeSearchId === id ? { total } : null;
 }
 
 async function getSearchRange(start, count) {
@@ -200,17 +1594,39 @@ async function getSearchRange(start, count) {
         transaction.objectStore(SEARCH_STORE_NAME).getAll(IDBKeyRange.bound(firstChunk, lastChunk))
     );
     await transactionDone(transaction);
-    return chunks.flatMap(chunk => chunk.entries).slice(safeStart - firstChunk, safeStart - firstChunk + safeCount);
+    return (await Promise.all(chunks.map(unpackRecord)))
+        .flat()
+        .slice(safeStart - firstChunk, safeStart - firstChunk + safeCount);
 }
 
 self.addEventListener('message', async event => {
     const { id, type } = event.data;
     try {
         let result;
-        if (type === 'import') result = await importFile(event.data.file);
-        else if (type === 'range') result = await getRange(event.data.start, event.data.count);
-        else if (type === 'search') result = await searchMessages(id, event.data.query);
+        const { chatId, resume } = event.data;
+        if (type === 'import') result = await importFiles(event.data.files, event.data.encoding, { chatId, resume, id });
+        else if (type === 'append') result = await importFiles([event.data.file], event.data.encoding, { chatId, append: true, id });
+        else if (type === 'cancelImport') result = cancelImport(event.data.importId);
+        else if (type === 'findCheckpoint') result = await findCheckpoint(event.data.file);
+        else if (type === 'storageUsage') result = await storageUsage();
+        else if (type === 'clearSearchCache') result = await clearSearchCache();
+        else if (type === 'exportBackup') result = await withWriteLock(() => exportBackup(event.data.preferences));
+        else if (type === 'restoreBackup') result = await withWriteLock(() => restoreBackup(event.data.file));
+        else if (type === 'range') result = await getRange(chatId, event.data.start, event.data.count);
+        else if (type === 'search') result = await searchMessages(id, chatId, event.data.query);
         else if (type === 'searchRange') result = await getSearchRange(event.data.start, event.data.count);
+        else if (type === 'listChats') result = await listChats();
+        else if (type === 'openChat') result = await openChat(chatId);
+        else if (type === 'lastChat') result = await getLastChat();
+        else if (type === 'saveView') result = await saveView(chatId, event.data.view);
+        else if (type === 'renameChat') result = await renameChat(chatId, event.data.title);
+        else if (type === 'deleteChat') result = await withWriteLock(() => deleteChat(chatId));
+        else if (type === 'encryptionStatus') result = await encryptionStatus();
+        else if (type === 'enableEncryption') result = await withWriteLock(() => enableEncryption(event.data.passphrase));
+        else if (type === 'unlock') result = await unlock(event.data.passphrase);
+        else if (type === 'lock') result = await lock();
+        else if (type === 'forgetEverything') result = await withWriteLock(forgetEverything);
+        else if (type === 'ping') result = true; // ChatStore가 Worker가 살아 있는지 확인한다
         else throw new Error('지원하지 않는 저장소 요청입니다.');
 
         if (result !== null) self.postMessage({ id, result });
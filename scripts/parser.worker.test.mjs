@@ -0,0 +1,322 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { Worker } from 'node:worker_threads';
+import { createIndexedDB } from './fake-indexeddb.mjs';
+
+const read = name => fs.readFileSync(new URL(name, import.meta.url), 'utf8');
+// 탭 하나의 Worker (같은 database를 넘기면 같은 저장소를 쓰는 다른 탭이 된다)
+const workerScope = (database, source = read('parser.worker.js')) => {
+    const scope = vm.createContext({
+        Blob, CompressionStream, DecompressionStream, ReadableStream, Response, TextDecoder, TextDecoderStream, TextEncoder,
+        TextEncoderStream, TransformStream, structuredClone, crypto, setTimeout, clearTimeout, performance, DOMException,
+        AbortController, ...database
+    });
+    scope.self = scope;
+    scope.postMessage = () => {};
+    scope.addEventListener = () => {};
+    scope.importScripts = (...names) => names.forEach(name => vm.runInContext(read(name), scope));
+    vm.runInContext(source, scope);
+    return scope;
+};
+const sandbox = workerScope(createIndexedDB());
+
+const migrations = vm.runInContext('MIGRATIONS', sandbox);
+assert.deepEqual([...migrations.map(step => step.version)], [3, 4, 5, 6, 7]);
+assert.equal(vm.runInContext('DATABASE_VERSION', sandbox), 7, '저장소 버전은 마지막 단계와 같아야 한다.');
+
+// 저장소 만들기만 하는 단계는 가짜 저장소로 순서를 확인한다
+const fakeDatabase = stores => ({
+    created: [],
+    objectStoreNames: { contains: name => stores.includes(name) },
+    createObjectStore(name, options) {
+        this.created.push([name, options.keyPath]);
+    },
+    deleteObjectStore(name) {
+        stores.splice(stores.indexOf(name), 1);
+    }
+});
+const database = fakeDatabase([]);
+assert.deepEqual([...await sandbox.runMigrations(database, null, 4)], []);
+assert.deepEqual(database.created.map(([name]) => name), ['settings', 'searchIndex', 'importCheckpoints'],
+    '이전 버전보다 높은 단계만 순서대로 실행해야 한다.');
+
+const oldStores = ['messages', 'chunks'];
+const reasons = [];
+migrations[0].upgrade({ database: fakeDatabase(oldStores), requireReimport: reason => reasons.push(reason) });
+assert.deepEqual(oldStores, ['chunks'], '형식을 알 수 없는 v3 이전 저장소는 지워야 한다.');
+assert.equal(reasons.length, 1, '옮기지 못한 데이터는 다시 불러오라고 알려야 한다.');
+
+const chat = sandbox.legacyChatBuilder('legacy');
+const migrated = chat.add([
+    { index: 0, type: 'date', date: '2024년 5월 20일 월요일' },
+    { index: 1, type: 'message', sender: '철수', time: '오후 11:50', content: '안녕' },
+    { index: 2, type: 'message', sender: '영희', time: '오전 12:10', content: '통화', call: { status: 'completed', duration: 30 } },
+    { index: 3, type: 'system', time: '', content: '영희님이 나갔습니다.' }
+]);
+assert.equal(migrated[0].timestamp, new Date(2024, 4, 20).getTime(), '날짜 항목에 빠진 타임스탬프를 채워야 한다.');
+assert.equal(migrated[1].timestamp, new Date(2024, 4, 20, 23, 50).getTime());
+assert.equal(migrated[2].timestamp, new Date(2024, 4, 21, 0, 10).getTime(), '자정을 넘긴 메시지는 다음 날이어야 한다.');
+assert.equal(migrated[3].timestamp, migrated[2].timestamp, '시간이 없는 알림은 앞 항목의 시각을 쓴다.');
+chat.add([
+    { index: 4, type: 'date', date: '2024년 5월 22일 수요일', timestamp: null },
+    { index: 5, type: 'message', sender: '철수', time: '오전 9:00', content: '점심', timestamp: 123 }
+]);
+
+const record = chat.finish(1000);
+assert.equal(record.id, 'legacy');
+assert.equal(record.totalEntries, 6);
+assert.equal(record.totalMessages, 3);
+assert.equal(record.indexed, false, '옮긴 대화에는 2-gram 색인이 없다.');
+assert.deepEqual(JSON.parse(JSON.stringify(record.users)), [
+    { name: '철수', messageCount: 2 },
+    { name: '영희', messageCount: 1 }
+]);
+assert.deepEqual(JSON.parse(JSON.stringify(record.dates.map(date => date.timestamp))), [new Date(2024, 4, 20).getTime(), null],
+    '저장된 타임스탬프는 그대로 둔다.');
+assert.equal(record.callStats[0].totalDuration, 30);
+assert.equal(record.openedAt, 1000, '옮긴 대화를 다음에 바로 열 수 있어야 한다.');
+
+const entries = Array.from({ length: 5000 }, (_, index) => ({
+    index,
+    type: 'message',
+    sender: ['철수', '영희'][index % 2],
+    time: '오후 1:00',
+    date: '2026년 8월 10일 월요일',
+    content: `메시지 ${index}`
+}));
+const compressed = await sandbox.compressEntries(entries);
+assert.ok(compressed.byteLength * 5 < sandbox.estimateSize(entries), '되풀이되는 발신자와 날짜는 크게 줄어야 한다.');
+assert.deepEqual(JSON.parse(JSON.stringify(await sandbox.decompressEntries(compressed))), entries);
+
+// 백업 파일은 줄이 압축 블록 경계에 걸쳐도 한 줄씩 읽어야 한다
+const backupLines = [{ type: 'header', format: 'kakaotalk-chat-viewer-backup', version: 1 }, { type: 'chunk', entries }, { type: 'end' }];
+const backup = await new Response(
+    new Blob([backupLines.map(line => JSON.stringify(line)).join('\n')]).stream().pipeThrough(new CompressionStream('gzip'))
+).blob();
+const readBack = [];
+let readBytes = 0;
+for await (const line of sandbox.readJsonLines(backup, bytes => { readBytes += bytes; })) readBack.push(line);
+assert.deepEqual(JSON.parse(JSON.stringify(readBack)), backupLines);
+assert.equal(readBytes, backup.size, '진행률은 압축된 파일 크기 기준이어야 한다.');
+
+// 정규식은 regex-worker에서 실행하고, 시간 안에 끝나지 않으면 그 Worker를 종료해야 한다
+const regexSandbox = { self: { addEventListener() {}, postMessage() {} } };
+vm.runInNewContext(read('regex-worker.js'), regexSandbox);
+assert.deepEqual(JSON.parse(JSON.stringify(regexSandbox.regexRanges('\\d{2}:\\d{2}|x*', ['12:30에 보고 18:00', '없음']))),
+    [[[0, 5], [10, 5]], []], '맞는 곳을 모두 찾고 빈 문자열에 맞는 곳은 건너뛰어야 한다.');
+
+// 브라우저 Worker를 worker_threads로 흉내 낸다
+const workerSource = `
+    const { parentPort } = require('node:worker_threads');
+    const listeners = [];
+    globalThis.self = globalThis;
+    self.addEventListener = (type, listener) => listeners.push(listener);
+    self.postMessage = data => parentPort.postMessage(data);
+    parentPort.on('message', data => listeners.forEach(listener => listener({ data })));
+    require('node:vm').runInThisContext(${JSON.stringify(read('regex-worker.js'))});
+`;
+const regexWorkers = [];
+let regexStartupDelay = 0; // 스크립트를 읽는 데 걸리는 시간 (ms)
+sandbox.Worker = class {
+    constructor(name) {
+        assert.equal(name, 'regex-worker.js');
+        const startup = `Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ${regexStartupDelay});`;
+        this.thread = new Worker(startup + workerSource, { eval: true });
+        regexWorkers.push(this);
+    }
+    addEventListener(type, listener) {
+        this.thread.on(type, type === 'message' ? data => listener({ data }) : listener);
+    }
+    postMessage(data) {
+        this.thread.postMessage(data);
+    }
+    terminate() {
+        this.terminated = true;
+        this.thread.terminate();
+    }
+};
+const ranges = await sandbox.matchRegex('01[0-9]-?\\d{4}', ['연락처 010-1234', '없음'], 5000);
+assert.deepEqual(JSON.parse(JSON.stringify(ranges)), [[[4, 8]], []]);
+const started = Date.now();
+await assert.rejects(sandbox.matchRegex('^(a|aa)+b', ['a'.repeat(60)], 200), /너무 오래 걸려 멈췄습니다/);
+assert.ok(Date.now() - started < 2000, '끝나지 않는 정규식도 시간 안에 멈춰야 한다.');
+assert.equal(regexWorkers[0].terminated, true, '멈출 수 없는 실행은 Worker를 종료해서 끊어야 한다.');
+assert.deepEqual(JSON.parse(JSON.stringify(await sandbox.matchRegex('b', ['abc'], 5000))), [[[1, 1]]],
+    '종료한 뒤에는 새 Worker로 다시 검색할 수 있어야 한다.');
+regexWorkers.at(-1).terminate();
+sandbox.stopRegexWorker(new Error('다시 띄운다'));
+regexStartupDelay = 500;
+assert.deepEqual(JSON.parse(JSON.stringify(await sandbox.matchRegex('b', ['abc'], 200))), [[[1, 1]]],
+    '새 Worker가 스크립트를 읽는 시간은 정규식 시간에 넣지 않아야 한다.');
+regexWorkers.at(-1).terminate();
+
+// 다시 불러오기는 다 불러온 뒤에 바꿔 넣으므로, 취소해도 원래 대화가 남아야 한다
+const chatFile = (name, lines) => new File(
+    ['방 님과 카카오톡 대화\n--------------- 2024년 5월 20일 월요일 ---------------\n', ...lines.map(line => `${line}\n`)],
+    name,
+    { lastModified: 1 }
+);
+const contents = async (chatId, scope = sandbox) => JSON.parse(JSON.stringify(await scope.getRange(chatId, 0, 10)))
+    .filter(entry => entry.type === 'message').map(entry => entry.content);
+const original = await sandbox.importFiles([chatFile('chat.txt', ['[철수] [오후 3:00] 원래 대화'])], undefined, { id: 1 });
+const reimport = sandbox.importFiles([chatFile('chat.txt', ['[철수] [오후 3:00] 새 대화'])], 'utf-8', { id: 2, chatId: original.id });
+assert.equal(sandbox.cancelImport(2), true);
+await assert.rejects(reimport, { name: 'AbortError' });
+assert.deepEqual([...(await sandbox.listChats()).map(chat => chat.id)], [original.id], '취소해도 원래 채팅방은 보관함에 남아야 한다.');
+assert.deepEqual(await contents(original.id), ['원래 대화']);
+const replaced = await sandbox.importFiles([chatFile('chat.txt', ['[철수] [오후 3:00] 새 대화'])], 'utf-8', { id: 3, chatId: original.id });
+assert.equal(replaced.id, original.id, '다시 불러온 대화는 같은 채팅방 자리에 들어가야 한다.');
+assert.deepEqual(await contents(original.id), ['새 대화']);
+assert.deepEqual([...(await sandbox.listChats()).map(chat => chat.id)], [original.id], '새 id로 불러온 흔적이 남으면 안 된다.');
+assert.deepEqual([...(await sandbox.chunkKeys(original.id)).map(([chatId]) => chatId)], [original.id]);
+await assert.rejects(
+    sandbox.importFiles([new File(['카카오톡 대화가 아닌 파일\n'], 'notes.txt')], 'euc-kr', { id: 4, chatId: original.id }),
+    /올바른 카카오톡 채팅 내보내기 파일이 아닙니다/
+);
+assert.deepEqual(await contents(original.id), ['새 대화'], '카카오톡 대화가 아닌 파일로 다시 불러와도 원래 대화는 남아야 한다.');
+assert.equal((await sandbox.listChats()).length, 1);
+
+// 이어 붙이면 먼저 불러온 파일의 보고와 경고도 남아야 한다
+const warned = await sandbox.importFiles([chatFile('first.txt', ['붙을 곳 없는 줄', '[철수] [오후 3:00] 처음'])], undefined, { id: 6 });
+await sandbox.importFiles([chatFile('later.txt', ['[영희] [오후 5:00] 나중'])], undefined, { id: 7, chatId: warned.id, append: true });
+const appended = JSON.parse(JSON.stringify(await sandbox.getChat(warned.id)));
+assert.deepEqual(appended.files.map(file => file.name), ['first.txt', 'later.txt']);
+assert.equal(appended.diagnostics.total, 1);
+assert.equal(appended.diagnostics.counts.orphan, 1);
+assert.deepEqual(appended.diagnostics.items.map(item => item.text), ['붙을 곳 없는 줄']);
+assert.deepEqual(await contents(warned.id), ['처음', '나중']);
+await sandbox.deleteChat(warned.id);
+
+// 이어서 불러오다 실패하거나 취소해도 마지막 체크포인트와 그때까지의 청크는 남아야 한다
+const resumeDatabase = createIndexedDB();
+const checkpointing = read('parser.worker.js').replace(/^const CHECKPOINT_INTERVAL = .*$/m, 'const CHECKPOINT_INTERVAL = 1024;');
+// 조금씩 읽히다가 stopAt에서 멈추는(탭이 닫히는) 또는 실패하는 파일
+class SlowFile extends File {
+    constructor(text, { stopAt = Infinity, fail = false } = {}) {
+        super([text], 'huge.txt', { lastModified: 1 });
+        this.stopAt = stopAt;
+        this.fail = fail;
+    }
+
+    stream(from = 0, blob = this) {
+        const bytes = blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+        let position = 0;
+        return new ReadableStream({
+            pull: async controller => {
+                const all = await bytes;
+                if (from + position >= this.stopAt) {
+                    if (this.fail) controller.error(new Error('파일을 읽지 못했습니다.'));
+                    else return new Promise(() => {});
+                    return;
+                }
+                if (position >= all.length) {
+                    controller.close();
+                    return;
+                }
+                controller.enqueue(all.slice(position, position + 300));
+                position += 300;
+            }
+        });
+    }
+
+    slice(start, end) {
+        const part = super.slice(start, end);
+        part.stream = () => this.stream(start ?? 0, part);
+        return part;
+    }
+}
+const hugeLines = Array.from({ length: 200 }, (_, index) => `[철수] [오후 3:00] 긴 대화 ${index}`);
+const hugeText = `방 님과 카카오톡 대화\n--------------- 2024년 5월 20일 월요일 ---------------\n${hugeLines.join('\n')}\n`;
+const closedTab = workerScope(resumeDatabase, checkpointing);
+closedTab.importFiles([new SlowFile(hugeText, { stopAt: 3000 })], undefined, { id: 1 });
+let saved;
+for (let wait = 0; wait < 200 && !saved; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    saved = await closedTab.findCheckpoint(new SlowFile(hugeText));
+}
+assert.ok(saved?.offset > 0, '읽은 만큼 체크포인트를 남겨야 한다.');
+
+const reopenedTab = workerScope(resumeDatabase, checkpointing);
+await assert.rejects(
+    reopenedTab.importFiles([new SlowFile(hugeText, { stopAt: saved.offset + 2000, fail: true })], undefined, { id: 2, chatId: saved.chatId, resume: true }),
+    /파일을 읽지 못했습니다/
+);
+const afterFailure = await reopenedTab.findCheckpoint(new SlowFile(hugeText));
+assert.equal(afterFailure?.chatId, saved.chatId, '실패한 뒤에도 이어서 불러올 수 있어야 한다.');
+assert.ok(afterFailure.offset >= saved.offset, '실패하기 전에 새로 남긴 체크포인트까지는 지키고 더 앞으로 돌리지 않는다.');
+assert.ok((await reopenedTab.chunkKeys(saved.chatId)).length > 0, '체크포인트까지 저장한 청크는 지우지 않는다.');
+const cancelledResume = reopenedTab.importFiles([new SlowFile(hugeText)], undefined, { id: 3, chatId: saved.chatId, resume: true });
+assert.equal(reopenedTab.cancelImport(3), true);
+await assert.rejects(cancelledResume, { name: 'AbortError' });
+assert.equal((await reopenedTab.findCheckpoint(new SlowFile(hugeText)))?.offset, afterFailure.offset, '취소해도 체크포인트는 남아야 한다.');
+
+const resumed = await reopenedTab.importFiles([new SlowFile(hugeText)], undefined, { id: 4, chatId: saved.chatId, resume: true });
+assert.equal(resumed.id, saved.chatId);
+assert.equal(resumed.totalMessages, hugeLines.length, '체크포인트 뒤에 남았던 청크 때문에 메시지가 겹치면 안 된다.');
+const resumedMessages = JSON.parse(JSON.stringify(await reopenedTab.getRange(saved.chatId, 0, 300)))
+    .filter(entry => entry.type === 'message').map(entry => entry.content);
+assert.deepEqual(resumedMessages, hugeLines.map((_, index) => `긴 대화 ${index}`));
+assert.equal(await reopenedTab.findCheckpoint(new SlowFile(hugeText)), undefined, '다 불러오면 체크포인트를 지워야 한다.');
+
+// 백업을 되살리면 같은 채팅방과 대화가 돌아와야 하고, 잘못된 파일은 보관함에 아무것도 남기지 않아야 한다
+const countChunks = async scope => {
+    const transaction = (await scope.openDatabase()).transaction('chunks', 'readonly');
+    return scope.requestResult(transaction.objectStore('chunks').count());
+};
+const gzipLines = lines => new Response(
+    new Blob([lines.map(line => JSON.stringify(line)).join('\n')]).stream().pipeThrough(new CompressionStream('gzip'))
+).blob();
+const second = await sandbox.importFiles([chatFile('second.txt', ['[영희] [오후 4:00] 두 번째 방'])], undefined, { id: 5 });
+const exported = await sandbox.exportBackup({ fontSize: 16 });
+const exportedLines = [];
+for await (const line of sandbox.readJsonLines(exported, () => {})) exportedLines.push(JSON.parse(JSON.stringify(line)));
+assert.deepEqual(exportedLines.map(line => line.type), ['header', 'chat', 'chunk', 'chat', 'chunk', 'end']);
+
+const restoringTab = workerScope(createIndexedDB());
+assert.deepEqual(JSON.parse(JSON.stringify(await restoringTab.restoreBackup(exported))), { chats: 2, preferences: { fontSize: 16 } });
+const restoredIds = [...(await restoringTab.listChats()).map(chat => chat.id)].sort();
+assert.deepEqual(restoredIds, [original.id, second.id].sort(), '백업의 채팅방 id를 그대로 써야 한다.');
+assert.deepEqual(await contents(original.id, restoringTab), ['새 대화']);
+assert.deepEqual(await contents(second.id, restoringTab), ['두 번째 방']);
+assert.equal((await restoringTab.openChat(second.id)).indexed, true, '암호를 쓰지 않으면 검색 색인을 다시 만들어야 한다.');
+await restoringTab.restoreBackup(exported);
+assert.equal((await restoringTab.listChats()).length, 2, '같은 id의 채팅방은 백업한 것으로 바꿔야 한다.');
+assert.equal(await countChunks(restoringTab), 2, '바꾼 채팅방의 이전 청크가 남으면 안 된다.');
+
+const rejects = async (lines, pattern, message) => {
+    await assert.rejects(restoringTab.restoreBackup(await gzipLines(lines)), pattern, message);
+    assert.equal(await countChunks(restoringTab), 2, '복원하다 멈추면 그때까지 쓴 청크를 지워야 한다.');
+    assert.deepEqual(await contents(original.id, restoringTab), ['새 대화'], '복원에 실패해도 보관함은 그대로여야 한다.');
+};
+const [header, firstChat, firstChunk] = exportedLines;
+await rejects([firstChat, firstChunk], /머리말이 없습니다/);
+await rejects([{ ...header, format: 'other-viewer' }, firstChat], /머리말이 없습니다/);
+await rejects([{ ...header, version: 2 }, firstChat], /더 새 버전/);
+await rejects(exportedLines.slice(0, -1), /중간에 잘렸습니다/, '끝 줄이 없으면 잘린 파일이다.');
+await rejects([header, { ...firstChat, chunks: 2 }, firstChunk, { type: 'end', chats: 1, chunks: 1 }], /개수가 맞지 않습니다/);
+await rejects([header, firstChat, firstChunk, { type: 'end', chats: 2, chunks: 1 }], /개수가 맞지 않습니다/);
+const truncated = exported.slice(0, Math.floor(exported.size / 2));
+await assert.rejects(restoringTab.restoreBackup(truncated), /올바른 백업 파일이 아닙니다/, '압축이 잘린 파일도 알려야 한다.');
+assert.equal(await countChunks(restoringTab), 2);
+
+// 가져오던 Worker가 되돌리기 전에 종료되어 남은 청크는 다음 Worker가 처음 쓰기 잠금을 쥘 때 지워야 한다
+const killedDatabase = createIndexedDB();
+const killedTab = workerScope(killedDatabase);
+const kept = await killedTab.importFiles([chatFile('kept.txt', ['[철수] [오후 3:00] 남길 대화'])], undefined, { id: 1 });
+await killedTab.putBatch('orphan', [{ index: 0, type: 'message', content: '주인 없는 청크' }]);
+await killedTab.putIndexSegment('orphan', { start: 0, grams: [{ gram: '주인', postings: [0] }] });
+await killedTab.putCheckpoint({ chatId: 'unfinished', file: { name: 'huge.txt', size: 1, lastModified: 1 } });
+await killedTab.putBatch('unfinished', [{ index: 0, type: 'message', content: '이어서 불러올 청크' }]);
+const restartedTab = workerScope(killedDatabase);
+assert.equal((await restartedTab.chunkKeys('orphan')).length, 1, '쓰기 잠금을 쥐기 전에는 건드리지 않는다.');
+await restartedTab.withWriteLock(async () => {});
+assert.equal((await restartedTab.chunkKeys('orphan')).length, 0, '채팅방도 체크포인트도 없는 청크는 지워야 한다.');
+assert.equal(await restartedTab.requestResult(
+    (await restartedTab.openDatabase()).transaction('searchIndex', 'readonly').objectStore('searchIndex')
+        .count(restartedTab.IDBKeyRange.bound(['orphan'], ['orphan', []]))
+), 0, '남은 색인도 지워야 한다.');
+assert.equal((await restartedTab.chunkKeys('unfinished')).length, 1, '이어서 불러올 청크는 남겨야 한다.');
+assert.deepEqual(await contents(kept.id, restartedTab), ['남길 대화']);
+
+console.log('storage migration, chunk compression, backup, regex worker, re-import, resume, restore and orphan sweep check passed');
@@ -0,0 +1,34 @@
+/**
+ * 정규식 검색용 Worker
+ * 정규식 한 번의 실행은 중간에 멈출 수 없으므로 저장소 Worker가 이 Worker에 맡기고,
+ * 시간 안에 답이 없으면 Worker를 통째로 종료한다. 화면 쪽에서는 사용자 정규식을 실행하지 않는다.
+ * 스크립트를 다 읽으면 { ready: true }를 보내고, 저장소 Worker는 그때부터 시간을 잰다.
+ */
+
+/**
+ * 각 문자열에서 정규식(대소문자 구분 없음)이 맞는 곳 (빈 문자열에 맞는 곳은 건너뛴다)
+ * @param {string} source - 정규식
+ * @param {string[]} texts - 메시지 내용
+ * @returns {Array<Array<number[]>>} 문자열마다 [위치, 길이] 목록, 맞지 않으면 빈 목록
+ */
+function regexRanges(source, texts) {
+    const pattern = new RegExp(source, 'gi');
+    return texts.map(text => {
+        const ranges = [];
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0] === '') pattern.lastIndex = match.index + 1;
+            else ranges.push([match.index, match[0].length]);
+        }
+        return ranges;
+    });
+}
+
+self.addEventListener('message', event => {
+    const { id, source, texts } = event.data;
+    self.postMessage({ id, ranges: regexRanges(source, texts) });
+});
+self.postMessage({ ready: true });
+
+globalThis.regexRanges = regexRanges;
@@ -21,8 +21,11 @@ class ChatRenderer {
         this.virtualHeight = 0;
         this.store = null;
         this.renderGeneration = 0;
+        this.rangeController = null; // 진행 중인 범위 조회 (새 창을 그리면 중단한다)
+        this.rangeTimeout = 10000;
         this.pendingStart = null;
         this.virtualScrollFrame = null;
+        this.onCurrentUserChange = null; // "나"를 바꿨을 때 저장하도록 알림
         
         this.setupScrollDateIndicator();
         window.chatRenderer = this;
@@ -64,7 +67,19 @@ class ChatRenderer {
         const end = Math.min(this.totalEntries, start + this.windowSize);
         const fetchStart = Math.max(0, start - 1);
         const fetchEnd = Math.min(this.totalEntries, end + 1);
-        const entries = await this.store.getRange(fetchStart, fetchEnd - fetchStart);
+        this.rangeController?.abort();
+        const controller = this.rangeController = new AbortController();
+        let entries;
+        try {
+            entries = await this.store.getRange(fetchStart, fetchEnd - fetchStart, {
+                signal: controller.signal,
+                timeout: this.rangeTimeout
+            });
+        } catch (error) {
+            if (generation !== this.renderGeneration || error.name === 'AbortError') return false;
+            this.pendingStart = null; // 같은 위치를 다시 그릴 수 있도록
+            throw error;
+        }
         if (generation !== this.renderGeneration) return false;
 
         this.pendingStart = null;
@@ -83,6 +98,8 @@ class ChatRenderer {
             if (!message) continue;
             if (message.type === 'date') {
                 this.renderDateSeparator(message, index);
+            } else if (message.type === 'system') {
+                this.renderSystemMessage(message, index);
             } else if (message.type === 'message') {
                 this.renderMessage(message, index, entriesByIndex);
             }
@@ -165,6 +182,13 @@ class ChatRenderer {
      */
     determineCurrentUser(chatData) {
         this.users = chatData.users || [];
+
+        // 보관함에 저장된 선택이 있으면 그대로 쓴다
+        const savedUser = chatData.view?.currentUser;
+        if (savedUser && this.users.some(user => user.name === savedUser)) {
+            this.currentUser = savedUser;
+            return;
+        }
         
         // 채팅방 제목에서 첫 번째 사람은 상대방(왼쪽)으로 설정
         // 제목 형태: "공주🎀 님과 카카오톡 대화" -> "공주🎀"는 상대방(왼쪽)
@@ -267,6 +291,7 @@ class ChatRenderer {
 
                     // 사용자 변경
                     this.currentUser = user.name;
+                    this.onCurrentUserChange?.(user.name);
 
                     this.render(this.chatData, this.store, false)
                         .finally(() => this.showUserSwitchingLoading(false));
@@ -478,8 +503,24 @@ class ChatRenderer {
                 return this.renderFileMessage(message.content);
             case 'voice':
                 return this.renderVoiceMessage(message.content);
+            case 'call':
+                return this.renderCallMessage(message);
+            case 'transfer':
+            case 'settlement':
+                return this.renderPaymentCard(message);
+            case 'poll':
+                return this.renderPollCard(message);
+            case 'event':
+                return this.renderEventCard(message);
+            case 'notice':
+                return this.renderNoticeCard(message);
+            case 'map':
+                return this.renderMapCard(message);
+            case 'contact':
+                return this.renderContactCard(message);
             case 'system':
-                return this.renderSystemMessage(message.content);
+                // 시스템 알림을 메시지로 저장하던 이전 데이터
+                return `<em class="text-gray-500 text-sm">${this.escapeHtml(message.content)}</em>`;
             case 'empty':
                 return '<em class="text-gray-400">메시지 없음</em>';
             default:
@@ -558,12 +599,181 @@ class ChatRenderer {
     }
     
     /**
-     * 시스템 메시지 렌더링
-     * @param {string} content - 메시지 내용
+     * 통화 기록 렌더링
+     * call.direction은 보낸 사람 기준이라, 보낸 사람이 "나"이면 그대로, 아니면 뒤집어서 건 전화인지 정한다
+     * @param {Object} message - 메시지 객체 (call.media, call.status, call.direction, call.duration)
+     * @returns {string} HTML
+     */
+    renderCallMessage(message) {
+        const call = message.call || { media: 'voice', status: 'started', direction: 'outgoing', duration: null };
+        const isOutgoing = (message.sender === this.currentUser) === (call.direction !== 'incoming');
+        const mediaLabel = call.media === 'video' ? '페이스톡' : '보이스톡';
+        const statusLabels = {
+            started: isOutgoing ? '전화를 걸었습니다' : '전화가 왔습니다',
+            completed: `통화시간 ${this.formatDuration(call.duration || 0)}`,
+            cancelled: isOutgoing ? '취소' : '부재중 (상대방 취소)',
+            missed: isOutgoing ? '응답 없음' : '부재중'
+        };
+        const isMissed = call.status === 'missed' || call.status === 'cancelled';
+
+        return `
+            <div class="flex items-center ${isMissed ? 'text-red-500' : 'text-gray-800'}">
+                <span class="text-lg mr-2">${call.media === 'video' ? '📹' : '📞'}</span>
+                <div>
+                    <div class="font-medium">${mediaLabel} ${isOutgoing ? '발신' : '수신'}</div>
+                    <div class="text-xs text-gray-500">${statusLabels[call.status] || this.escapeHtml(message.content)}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 통화 시간 표시
+     * @param {number} seconds - 초
+     * @returns {string} "12:34" 또는 "1:02:03"
+     */
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    /**
+     * 카드형 메시지 공통 틀
+     * @param {string} icon - 아이콘
+     * @param {string} label - 카드 종류 이름
+     * @param {string} headline - 강조할 정보 (이스케이프 전)
+     * @param {string} detail - 보조 정보 (이스케이프 전)
+     * @param {string} colorClass - 머리말 색상 클래스
+     * @returns {string} HTML
+     */
+    renderCard(icon, label, headline, detail, colorClass) {
+        return `
+            <div class="min-w-[160px]">
+                <div class="flex items-center ${colorClass} text-xs font-semibold mb-1">
+                    <span class="text-base mr-1">${icon}</span>
+                    <span>${label}</span>
+                </div>
+                ${headline ? `<div class="font-semibold">${this.escapeHtml(headline)}</div>` : ''}
+                ${detail ? `<div class="text-xs text-gray-500 mt-1">${this.escapeHtml(detail)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 송금·정산 카드 렌더링
+     * @param {Object} message - 메시지 객체 (card.amount)
+     * @returns {string} HTML
+     */
+    renderPaymentCard(message) {
+        const amount = message.card?.amount;
+        const label = message.messageType === 'transfer' ? '송금' : '정산';
+        return this.renderCard(
+            '💸',
+            label,
+            Number.isFinite(amount) ? `${amount.toLocaleString('ko-KR')}원` : '',
+            Number.isFinite(amount) ? '' : message.content,
+            'text-yellow-700'
+        );
+    }
+
+    /**
+     * 투표 카드 렌더링
+     * @param {Object} message - 메시지 객체 (card.title)
+     * @returns {string} HTML
+     */
+    renderPollCard(message) {
+        return this.renderCard('🗳️', '투표', message.card?.title || message.content, '', 'text-indigo-600');
+    }
+
+    /**
+     * 일정 카드 렌더링
+     * @param {Object} message - 메시지 객체 (card.title, card.eventDate)
+     * @returns {string} HTML
+     */
+    renderEventCard(message) {
+        return this.renderCard(
+            '📅',
+            '일정',
+            message.card?.title || message.content,
+            message.card?.eventDate || '',
+            'text-red-600'
+        );
+    }
+
+    /**
+     * 공지 카드 렌더링
+     * @param {Object} message - 메시지 객체 (card.title)
+     * @returns {string} HTML
+     */
+    renderNoticeCard(message) {
+        return this.renderCard('📢', '공지', message.card?.title || message.content, '', 'text-blue-600');
+    }
+
+    /**
+     * 지도 공유 카드 렌더링
+     * @param {Object} message - 메시지 객체 (card.place)
      * @returns {string} HTML
      */
-    renderSystemMessage(content) {
-        return `<em class="text-gray-500 text-sm">${this.escapeHtml(content)}</em>`;
+    renderMapCard(message) {
+        return this.renderCard('📍', '지도', message.card?.place || message.content, '', 'text-green-600');
+    }
+
+    /**
+     * 연락처 공유 카드 렌더링
+     * @param {Object} message - 메시지 객체 (card.name, card.phone)
+     * @returns {string} HTML
+     */
+    renderContactCard(message) {
+        return this.renderCard(
+            '👤',
+            '연락처',
+            message.card?.name || message.content,
+            message.card?.phone || '',
+            'text-gray-600'
+        );
+    }
+
+    /**
+     * 시스템 알림 렌더링 (입장/퇴장/초대/내보내기 등)
+     * 말풍선 대신 가운데 정렬된 안내 문구로 표시
+     * @param {Object} message - 시스템 항목 (event, actor, participants)
+     * @param {number} index - 메시지 인덱스
+     */
+    renderSystemMessage(message, index) {
+        const noticeDiv = document.createElement('div');
+        noticeDiv.className = 'flex justify-center my-2';
+        noticeDiv.setAttribute('data-message-index', index);
+        noticeDiv.setAttribute('data-system-event', message.event);
+
+        const notice = document.createElement('div');
+        notice.className = 'bg-black bg-opacity-10 text-gray-700 text-xs px-3 py-1 rounded-lg text-center max-w-[80%] break-words';
+        if (message.participants?.length) notice.title = message.participants.join(', ');
+        notice.innerHTML = `<span class="mr-1">${this.systemEventIcon(message.event)}</span>${this.escapeHtml(message.content)}`;
+        noticeDiv.appendChild(notice);
+
+        this.container.appendChild(noticeDiv);
+    }
+
+    /**
+     * 시스템 알림 종류별 아이콘
+     * @param {string} event - 알림 종류
+     * @returns {string} 아이콘
+     */
+    systemEventIcon(event) {
+        const icons = {
+            join: '👋',
+            leave: '🚪',
+            invite: '✉️',
+            kick: '⛔',
+            host: '👑',
+            profile: '✏️',
+            hide: '🙈',
+            delete: '🗑️',
+            open: '🎉'
+        };
+        return icons[event] || 'ℹ️';
     }
     
     /**
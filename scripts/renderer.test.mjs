@@ -55,6 +55,7 @@ const container = {
 };
 
 const sandbox = {
+    AbortController,
     clearTimeout,
     document: {
         createElement,
@@ -102,17 +103,23 @@ assert.equal(renderer.virtualHeight, 10_000_000, '브라우저 스크롤 높이
 
 let resolveOld;
 let resolveLatest;
+let oldSignal;
 const racingStore = {
-    getRange(start) {
+    getRange(start, count, { signal }) {
         return new Promise(resolve => {
-            if (start === 0) resolveOld = () => resolve([]);
-            else resolveLatest = () => resolve([]);
+            if (start === 0) {
+                oldSignal = signal;
+                resolveOld = () => resolve([]);
+            } else {
+                resolveLatest = () => resolve([]);
+            }
         });
     }
 };
 renderer.store = racingStore;
 const oldRequest = renderer.renderWindow(1);
 const latestRequest = renderer.renderWindow(500000);
+assert.equal(oldSignal.aborted, true, '새 위치를 그리기 시작하면 이전 조회를 중단해야 한다.');
 resolveLatest();
 await latestRequest;
 resolveOld();
@@ -126,6 +133,70 @@ const safeLink = renderer.renderLinkMessage('https://example.com/" onclick="aler
 assert.equal(safeLink.includes('<img>'), false, '채팅 내용의 HTML을 실행하면 안 된다.');
 assert.equal(safeLink.includes('rel="noopener noreferrer"'), true);
 
+const paymentCard = renderer.formatMessageContent({
+    card: { amount: 15000 },
+    content: '카카오페이 송금\n15,000원',
+    messageType: 'transfer'
+});
+assert.equal(paymentCard.includes('15,000원'), true);
+const eventCard = renderer.formatMessageContent({
+    card: { title: '<script>회식', eventDate: '2024년 5월 24일 오후 7:00' },
+    content: '일정: <script>회식',
+    messageType: 'event'
+});
+assert.equal(eventCard.includes('<script>'), false, '카드 내용의 HTML을 실행하면 안 된다.');
+assert.equal(eventCard.includes('2024년 5월 24일 오후 7:00'), true);
+
+const savedUsers = [{ name: '철수', messageCount: 10 }, { name: '영희', messageCount: 3 }];
+renderer.determineCurrentUser({ title: '', users: savedUsers, view: { currentUser: '영희' } });
+assert.equal(renderer.currentUser, '영희', '저장된 "나" 선택을 되살려야 한다.');
+renderer.determineCurrentUser({ title: '', users: savedUsers, view: { currentUser: '나간 사람' } });
+assert.equal(renderer.currentUser, '철수', '없는 사람이 저장돼 있으면 기본 추정으로 돌아가야 한다.');
+
+renderer.currentUser = '나';
+const incomingCall = renderer.formatMessageContent({
+    call: { media: 'video', status: 'missed', duration: null },
+    content: '부재중 페이스톡',
+    messageType: 'call',
+    sender: '상대'
+});
+assert.equal(incomingCall.includes('페이스톡 수신'), true);
+assert.equal(incomingCall.includes('부재중'), true);
+const outgoingCall = renderer.formatMessageContent({
+    call: { media: 'voice', status: 'completed', duration: 3723 },
+    content: '통화시간 1:02:03',
+    messageType: 'call',
+    sender: '나'
+});
+assert.equal(outgoingCall.includes('보이스톡 발신'), true);
+assert.equal(outgoingCall.includes('통화시간 1:02:03'), true);
+const answeredCall = renderer.formatMessageContent({
+    call: { media: 'voice', status: 'completed', direction: 'incoming', duration: 65 },
+    content: '수신 보이스톡 1:05',
+    messageType: 'call',
+    sender: '상대'
+});
+assert.equal(answeredCall.includes('보이스톡 발신'), true, '상대가 받은 통화는 내가 건 통화다.');
+
+const noticeRenderer = Object.create(sandbox.window.ChatRenderer.prototype);
+const notices = [];
+noticeRenderer.container = { appendChild: element => notices.push(element) };
+sandbox.document.createElement = tagName => Object.assign(createElement(tagName), {
+    appendChild(child) {
+        this.children = [...(this.children || []), child];
+    }
+});
+noticeRenderer.renderSystemMessage({
+    content: '<b>방장</b>님이 철수님을 초대했습니다.',
+    event: 'invite',
+    participants: ['철수']
+}, 42);
+sandbox.document.createElement = createElement;
+assert.equal(notices[0].dataset.messageIndex, '42');
+assert.equal(notices[0].className.includes('justify-center'), true, '시스템 알림은 가운데 정렬해야 한다.');
+assert.equal(notices[0].children[0].title, '철수');
+assert.equal(notices[0].children[0].innerHTML.includes('<b>'), false, '알림 문구의 HTML을 실행하면 안 된다.');
+
 const hiddenLastWindow = Object.create(sandbox.window.ChatRenderer.prototype);
 hiddenLastWindow.totalEntries = 1001;
 hiddenLastWindow.renderEnd = 1001;
@@ -0,0 +1,84 @@
+/**
+ * 검색용 2-gram 역색인
+ * 한국어는 띄어쓰기 단위가 길고 조사가 붙어 단어 색인이 맞지 않으므로 두 글자 단위로 나눈다.
+ * 검색어의 2-gram을 모두 가진 메시지만 후보로 남기고, 후보는 원문으로 다시 확인한다.
+ */
+
+class BigramIndex {
+    constructor() {
+        this.postings = new Map(); // gram → 오름차순 항목 인덱스
+        this.start = null; // 아직 저장하지 않은 첫 항목 인덱스
+        this.size = 0; // 아직 저장하지 않은 메시지 수
+    }
+
+    /**
+     * 검색에 쓰는 2-gram 목록 (소문자, 공백이 낀 조각은 뺀다)
+     * @param {string} text - 메시지 내용이나 검색어
+     * @returns {string[]} 중복 없는 2-gram
+     */
+    static grams(text) {
+        const normalized = text.toLocaleLowerCase();
+        const grams = new Set();
+        for (let index = 0; index < normalized.length - 1; index++) {
+            const gram = normalized.slice(index, index + 2);
+            if (!/\s/.test(gram)) grams.add(gram);
+        }
+        return [...grams];
+    }
+
+    /**
+     * 오름차순 목록들의 교집합
+     * @param {Array<ArrayLike<number>>} lists - 각 gram의 항목 인덱스
+     * @returns {number[]} 모든 목록에 있는 인덱스
+     */
+    static intersect(lists) {
+        if (lists.length === 0) return [];
+        const [shortest, ...others] = [...lists].sort((a, b) => a.length - b.length);
+        let result = Array.from(shortest);
+        for (const list of others) {
+            const next = [];
+            let position = 0;
+            for (const value of result) {
+                while (position < list.length && list[position] < value) position++;
+                if (position === list.length) break;
+                if (list[position] === value) next.push(value);
+            }
+            result = next;
+            if (result.length === 0) break;
+        }
+        return result;
+    }
+
+    /**
+     * 메시지 추가 (인덱스는 오름차순으로 들어와야 한다)
+     * @param {number} index - 항목 인덱스
+     * @param {string} content - 메시지 내용
+     */
+    add(index, content) {
+        if (!content) return;
+        this.start ??= index;
+        this.size++;
+        for (const gram of BigramIndex.grams(content)) {
+            if (!this.postings.has(gram)) this.postings.set(gram, []);
+            this.postings.get(gram).push(index);
+        }
+    }
+
+    /**
+     * 모인 목록을 저장할 조각으로 꺼내고 비우기
+     * @returns {{start: number, grams: Array<{gram: string, postings: Uint32Array}>}|null}
+     */
+    flush() {
+        if (this.start === null) return null;
+        const segment = {
+            start: this.start,
+            grams: [...this.postings].map(([gram, postings]) => ({ gram, postings: Uint32Array.from(postings) }))
+        };
+        this.postings = new Map();
+        this.start = null;
+        this.size = 0;
+        return segment;
+    }
+}
+
+globalThis.BigramIndex = BigramIndex;
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const sandbox = {};
+vm.runInNewContext(fs.readFileSync(new URL('search-index.js', import.meta.url), 'utf8'), sandbox);
+const { BigramIndex } = sandbox;
+
+assert.deepEqual([...BigramIndex.grams('점심 먹자')], ['점심', '먹자'], '공백이 낀 조각은 색인하지 않는다.');
+assert.deepEqual([...BigramIndex.grams('OK')], ['ok'], '대소문자를 구분하지 않아야 한다.');
+assert.equal(BigramIndex.grams('가').length, 0);
+
+const index = new BigramIndex();
+index.add(3, '내일 점심 먹자');
+index.add(7, '점심은 김밥');
+index.add(8, '');
+index.add(12, '저녁 먹자');
+assert.equal(index.size, 3, '내용 없는 항목은 세지 않는다.');
+
+const segment = index.flush();
+assert.equal(segment.start, 3);
+const postings = new Map(segment.grams.map(({ gram, postings }) => [gram, [...postings]]));
+assert.deepEqual(postings.get('점심'), [3, 7]);
+assert.deepEqual(postings.get('먹자'), [3, 12]);
+assert.equal(index.flush(), null, '비운 뒤에는 저장할 조각이 없어야 한다.');
+
+const candidates = BigramIndex.intersect(BigramIndex.grams('점심 먹자').map(gram => postings.get(gram)));
+assert.deepEqual([...candidates], [3], '모든 2-gram을 가진 메시지만 후보여야 한다.');
+assert.deepEqual([...BigramIndex.intersect([[1, 2, 5, 9], new Uint32Array([2, 9, 11]), [0, 2, 9]])], [2, 9]);
+assert.deepEqual([...BigramIndex.intersect([[1, 2], []])], []);
+
+console.log('search index check passed');
@@ -0,0 +1,225 @@
+/**
+ * 검색어 문법
+ * 공백으로 나눈 조건을 모두 만족하는 메시지를 찾고, 조건 사이에 OR가 있으면 둘 중 하나만 만족해도 된다.
+ *   from:이름           보낸 사람 이름 전체가 같은 메시지 (대소문자 무시, 이름에 공백이 있으면 from:"홍 길동")
+ *   type:link|file|media 메시지 종류 (| 로 여러 개)
+ *   after:2024-01-01    그 날부터 / before:2024-01-01 그 날 전까지
+ *   "정확한 구절"        공백까지 그대로 포함
+ *   -조건               그 조건을 만족하지 않는 메시지
+ * 정규식 모드에서는 문법을 해석하지 않고 입력 전체를 정규식 하나로 쓴다 (regex()). 정규식은 regex-worker.js에서만 실행한다.
+ * 화면에서 해석한 결과는 평범한 객체라 그대로 Worker에 보내고, Worker가 compile()로 평가한다.
+ */
+
+class SearchQuery {
+    static FIELDS = ['from', 'type', 'after', 'before'];
+    static TYPES = ['link', 'file', 'media'];
+
+    /**
+     * 검색어 해석
+     * @param {string} text - 검색창에 입력한 문자열
+     * @returns {{clauses: Array<Array<Object>>}} 모두 만족해야 하는 조건 목록, 각 조건은 OR로 묶인 항목들
+     *   (항목: { field: 'text'|'from'|'type'|'after'|'before', value, negated, raw })
+     * @throws {SyntaxError} 필터 값이 잘못되었을 때 (화면에 그대로 보여줄 문구)
+     */
+    static parse(text) {
+        const tokens = SearchQuery.tokenize(text);
+        const clauses = [];
+        for (let position = 0; position < tokens.length; position++) {
+            const token = tokens[position];
+            const next = tokens[position + 1];
+            if (token.or && clauses.length > 0 && next && !next.or) {
+                clauses.at(-1).push(SearchQuery.term(next));
+                position++;
+            } else {
+                clauses.push([SearchQuery.term(token)]);
+            }
+        }
+        return { clauses };
+    }
+
+    /**
+     * 공백과 따옴표로 토큰 나누기
+     * @returns {Array<{field: string, value: string, negated: boolean, raw: string, or: boolean}>}
+     */
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S*))/giy;
+        let position = 0;
+        while (position < text.length) {
+            if (/\s/.test(text[position])) {
+                position++;
+                continue;
+            }
+            pattern.lastIndex = position;
+            const [raw, minus, field, quoted, plain] = pattern.exec(text);
+            position += raw.length;
+            const known = field && SearchQuery.FIELDS.includes(field.toLowerCase());
+            // 알 수 없는 접두어(예: "http:")는 검색어의 일부다
+            const value = known ? quoted ?? plain : (field ? `${field}:` : '') + (quoted ?? plain);
+            if (!known && !value) {
+                if (minus) tokens.push({ field: 'text', value: '-', negated: false, raw, or: false });
+                continue; // 빈 따옴표
+            }
+            tokens.push({ field: known ? field.toLowerCase() : 'text', value, negated: Boolean(minus), raw, or: raw === 'OR' });
+        }
+        return tokens;
+    }
+
+    /**
+     * 정규식 모드의 검색어 (대소문자 구분 없음)
+     * 반복 안에 반복이 겹친 패턴은 메시지 하나에서도 끝나지 않을 수 있어 미리 막는다.
+     * @param {string} pattern - 검색창에 입력한 정규식
+     * @returns {{clauses: Array<Array<Object>>}} parse()와 같은 형식
+     * @throws {SyntaxError} 정규식이 잘못되었거나 위험할 때 (화면에 그대로 보여줄 문구)
+     */
+    static regex(pattern) {
+        if (!pattern) return { clauses: [] };
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new SyntaxError(`정규식이 올바르지 않습니다. 괄호와 대괄호가 닫혔는지, \\ 뒤의 문자가 맞는지 확인해주세요. (${error.message})`);
+        }
+        const unescaped = pattern.replace(/\\./g, '_');
+        if (/\([^()]*[+*][^()]*\)(?:[+*]|\{\d+,\d*\})/.test(unescaped)) {
+            throw new SyntaxError('(a+)+처럼 반복 안에 반복이 겹친 정규식은 검색이 끝나지 않을 수 있습니다. 안쪽 반복을 빼고 다시 시도해주세요.');
+        }
+        return { clauses: [[{ field: 'regex', value: pattern, negated: false, raw: pattern }]] };
+    }
+
+    /**
+     * 정규식 조건의 패턴 (Worker가 regex-worker에서 시간 제한을 두고 실행한다)
+     * @returns {string|null} 정규식 조건이 없으면 null
+     */
+    static regexSource({ clauses }) {
+        return clauses.flat().find(term => term.field === 'regex')?.value ?? null;
+    }
+
+    /**
+     * 토큰을 평가할 수 있는 항목으로 바꾸기 (날짜는 그 날 0시 타임스탬프로)
+     */
+    static term({ field, value, negated, raw }) {
+        if (field === 'text') return { field, value, negated, raw };
+        if (!value) throw new SyntaxError(`${field}: 뒤에 값을 적어주세요.`);
+        if (field === 'from') return { field, value, negated, raw };
+        if (field === 'type') {
+            const types = value.toLowerCase().split('|');
+            const unknown = types.find(type => !SearchQuery.TYPES.includes(type));
+            if (unknown !== undefined) {
+                throw new SyntaxError(`알 수 없는 종류입니다: type:${unknown} (${SearchQuery.TYPES.join(', ')} 중에서 고르세요)`);
+            }
+            return { field, value: types, negated, raw };
+        }
+
+        const match = value.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})$/);
+        const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+            throw new SyntaxError(`날짜는 ${field}:2024-01-01처럼 적어주세요: ${value}`);
+        }
+        return { field, value: date.getTime(), label: value, negated, raw };
+    }
+
+    /**
+     * 조건 목록을 다시 검색어로 (칩을 지운 뒤 검색창에 되돌린다)
+     */
+    static stringify({ clauses }) {
+        return clauses.map(terms => terms.map(term => term.raw).join(' OR ')).join(' ');
+    }
+
+    /**
+     * 메시지가 검색어를 만족하는지 판단하는 함수 만들기
+     * @param {{clauses: Array<Array<Object>>}} query - parse() 결과
+     * @returns {function(Object): boolean}
+     */
+    static compile({ clauses }) {
+        const tests = clauses.map(terms => terms.map(term => {
+            const test = SearchQuery.test(term);
+            return term.negated ? message => !test(message) : test;
+        }));
+        return message => tests.every(terms => terms.some(test => test(message)));
+    }
+
+    static test({ field, value }) {
+        switch (field) {
+            case 'from': {
+                // 이름 일부로 찾으면 다른 사람이 섞이므로 (철수 → 김철수) 이름 전체를 비교한다
+                const name = value.toLocaleLowerCase();
+                return message => message.sender?.toLocaleLowerCase() === name;
+            }
+            case 'type':
+                return message => value.includes(message.messageType);
+            case 'after':
+                return message => message.timestamp != null && message.timestamp >= value;
+            case 'before':
+                return message => message.timestamp != null && message.timestamp < value;
+            case 'regex':
+                // 정규식은 멈출 수 없어 여기서 실행하지 않고, Worker가 따로 구해 둔 맞는 곳을 본다
+                return message => Boolean(message.matches?.length);
+            default: {
+                const text = value.toLocaleLowerCase();
+                return message => Boolean(message.content?.toLocaleLowerCase().includes(text));
+            }
+        }
+    }
+
+    /**
+     * 모든 결과에 반드시 들어 있는 문구 (2-gram 색인으로 후보를 줄이는 데 쓴다)
+     * @returns {string[]}
+     */
+    static requiredText({ clauses }) {
+        return clauses
+            .filter(terms => terms.length === 1 && terms[0].field === 'text' && !terms[0].negated)
+            .map(([term]) => term.value);
+    }
+
+    /**
+     * 결과에서 강조할 문구 (제외 조건은 빼고 OR의 양쪽은 모두)
+     * 정규식은 검색 결과에 담긴 맞는 곳(matches)으로 강조하므로 여기에 넣지 않는다.
+     * @returns {string[]}
+     */
+    static highlights({ clauses }) {
+        return clauses.flat()
+            .filter(term => term.field === 'text' && !term.negated && term.value)
+            .map(term => term.value);
+    }
+
+    /**
+     * 커서가 이름을 적고 있는 from: 조건 찾기 (이름 자동 완성용)
+     * @param {string} text - 검색창 문자열
+     * @param {number} cursor - 커서 위치
+     * @returns {{start: number, end: number, prefix: string, field: string}|null} 바꿀 범위와 지금까지 적은 이름
+     */
+    static fromPrefix(text, cursor) {
+        const match = text.slice(0, cursor).match(/(^|\s)(-?from:)(?:"([^"]*)|([^\s"]*))$/i);
+        if (!match) return null;
+        const quoted = match[3] !== undefined;
+        const rest = text.slice(cursor).match(quoted ? /^[^"]*"?/ : /^\S*/)[0];
+        return {
+            start: match.index + match[1].length,
+            end: cursor + rest.length,
+            prefix: quoted ? match[3] : match[4],
+            field: match[2]
+        };
+    }
+
+    /**
+     * 칩에 보여줄 조건 설명
+     * @param {Array<Object>} terms - OR로 묶인 항목들
+     * @returns {string} 예: "보낸 사람: 홍길동", "제외: 광고", "링크, 파일"
+     */
+    static describe(terms) {
+        const typeNames = { link: '링크', file: '파일', media: '사진/동영상' };
+        return terms.map(term => {
+            const label = {
+                from: () => `보낸 사람: ${term.value}`,
+                type: () => term.value.map(type => typeNames[type]).join(', '),
+                after: () => `${term.label}부터`,
+                before: () => `${term.label} 전까지`,
+                regex: () => `정규식: /${term.value}/`,
+                text: () => `"${term.value}"`
+            }[term.field]();
+            return term.negated ? `제외: ${label}` : label;
+        }).join(' 또는 ');
+    }
+}
+
+globalThis.SearchQuery = SearchQuery;
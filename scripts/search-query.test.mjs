@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const sandbox = {};
+vm.runInNewContext(fs.readFileSync(new URL('search-query.js', import.meta.url), 'utf8'), sandbox);
+const { SearchQuery } = sandbox;
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const query = SearchQuery.parse('from:"홍 길동" type:link|file -광고 "점심 먹자" 회의 OR 미팅 after:2024-01-01 before:2024.02.01');
+assert.deepEqual(plain(query.clauses.map(terms => terms.map(term => [term.field, term.value, term.negated]))), [
+    [['from', '홍 길동', false]],
+    [['type', ['link', 'file'], false]],
+    [['text', '광고', true]],
+    [['text', '점심 먹자', false]],
+    [['text', '회의', false], ['text', '미팅', false]],
+    [['after', new Date(2024, 0, 1).getTime(), false]],
+    [['before', new Date(2024, 1, 1).getTime(), false]]
+]);
+assert.equal(SearchQuery.stringify(query), 'from:"홍 길동" type:link|file -광고 "점심 먹자" 회의 OR 미팅 after:2024-01-01 before:2024.02.01',
+    '칩을 지운 뒤 검색창에 되돌릴 수 있어야 한다.');
+assert.deepEqual(plain(SearchQuery.requiredText(query)), ['점심 먹자'], 'OR나 제외 조건은 색인 후보를 줄이는 데 쓰지 않는다.');
+assert.deepEqual(plain(SearchQuery.highlights(query)), ['점심 먹자', '회의', '미팅']);
+assert.equal(SearchQuery.describe(query.clauses[4]), '"회의" 또는 "미팅"');
+assert.equal(SearchQuery.describe(query.clauses[2]), '제외: "광고"');
+
+assert.deepEqual(plain(SearchQuery.parse('https://example.com OR').clauses.map(([term]) => term.value)), ['https://example.com', 'OR'],
+    '알 수 없는 접두어와 짝이 없는 OR는 검색어로 다룬다.');
+assert.equal(SearchQuery.parse('  ""  ').clauses.length, 0);
+assert.throws(() => SearchQuery.parse('type:photo'), /link, file, media/);
+assert.throws(() => SearchQuery.parse('before:2024-02-30'), { name: 'SyntaxError' }, '없는 날짜는 알려야 한다.');
+assert.throws(() => SearchQuery.parse('from:'), /값을 적어주세요/);
+
+const message = (sender, content, messageType = 'text', timestamp = new Date(2024, 0, 15).getTime()) => (
+    { sender, content, messageType, timestamp }
+);
+const matches = SearchQuery.compile(SearchQuery.parse('from:"홍 길동" 회의 OR 미팅 -취소 after:2024-01-01 before:2024-02-01'));
+assert.equal(matches(message('홍 길동', '내일 미팅 어때요')), true);
+assert.equal(matches(message('홍 길동', '내일 미팅 취소')), false, '제외한 단어가 있으면 빼야 한다.');
+assert.equal(matches(message('김철수', '회의 자료')), false);
+const fromChulsoo = SearchQuery.compile(SearchQuery.parse('from:철수'));
+assert.equal(fromChulsoo(message('철수', '안녕')), true);
+assert.equal(fromChulsoo(message('김철수', '안녕')), false, 'from:은 이름 일부가 아니라 이름 전체와 맞아야 한다.');
+assert.equal(SearchQuery.compile(SearchQuery.parse('from:Alice'))(message('alice', '안녕')), true);
+assert.equal(matches(message('홍 길동', '회의', 'text', new Date(2024, 1, 1).getTime())), false, 'before:는 그 날을 포함하지 않는다.');
+assert.equal(matches(message('홍 길동', '회의', 'text', null)), false, '시각을 모르는 메시지는 날짜 조건을 만족하지 않는다.');
+const links = SearchQuery.compile(SearchQuery.parse('-type:link|file'));
+assert.equal(links(message('a', 'https://example.com', 'link')), false);
+assert.equal(links(message('a', '사진', 'media')), true);
+
+assert.deepEqual(plain(SearchQuery.fromPrefix('점심 from:홍', 9)), { start: 3, end: 9, prefix: '홍', field: 'from:' });
+assert.deepEqual(plain(SearchQuery.fromPrefix('-from:"홍 길 점심', 10)), { start: 0, end: 13, prefix: '홍 길', field: '-from:' },
+    '따옴표 안에서는 공백이 있어도 이름이다.');
+assert.equal(SearchQuery.fromPrefix('from:홍길동 점심', 11), null);
+
+const phone = SearchQuery.regex('01[0-9]-?\\d{4}-?\\d{4}');
+const matchesPhone = SearchQuery.compile(phone);
+assert.equal(matchesPhone({ ...message('a', '연락처 010-1234-5678'), matches: [[4, 13]] }), true);
+assert.equal(matchesPhone(message('a', '연락처 010-1234-5678')), false, '정규식은 Worker가 구해 둔 matches로만 판단한다.');
+assert.equal(SearchQuery.requiredText(phone).length, 0, '정규식은 색인으로 후보를 줄일 수 없다.');
+assert.equal(SearchQuery.regexSource(phone), '01[0-9]-?\\d{4}-?\\d{4}');
+assert.equal(SearchQuery.regexSource(query), null);
+assert.equal(SearchQuery.highlights(phone).length, 0, '화면에서는 사용자 정규식을 실행하지 않는다.');
+assert.throws(() => SearchQuery.regex('(\\d{2}'), /정규식이 올바르지 않습니다/);
+assert.throws(() => SearchQuery.regex('(a+)+b'), /반복이 겹친/, '끝나지 않을 수 있는 패턴은 미리 막아야 한다.');
+assert.doesNotThrow(() => SearchQuery.regex('\\(\\d+\\)+'), '이스케이프한 괄호는 묶음이 아니다.');
+
+console.log('search query check passed');
@@ -10,15 +10,20 @@ class SearchResultsRenderer {
         this.renderStart = 0;
         this.renderEnd = 0;
         this.renderGeneration = 0;
+        this.rangeController = null; // 진행 중인 결과 조회 (새 창을 그리거나 비우면 중단한다)
+        this.rangeTimeout = 10000;
         this.renderedItems = [];
         this.scrollFrame = null;
 
         this.scrollContainer.addEventListener('scroll', () => this.handleScroll(), { passive: true });
     }
 
-    async render(total, query, store, formatDate) {
+    // terms는 강조할 문구 (검색 조건을 해석하지 않으면 검색어 그대로)
+    // formatDate는 검색 결과 하나를 받아 날짜 문구를 돌려준다
+    async render(total, query, store, formatDate, terms = [query]) {
         this.total = total;
         this.query = query;
+        this.terms = terms;
         this.store = store;
         this.formatDate = formatDate;
         this.virtualHeight = Math.max(
@@ -38,7 +43,18 @@ class SearchResultsRenderer {
         const start = Math.max(0, Math.min(Math.floor(startIndex), this.total - this.windowSize));
         const generation = ++this.renderGeneration;
         const end = Math.min(this.total, start + this.windowSize);
-        const results = await this.store.getSearchRange(start, end - start);
+        this.rangeController?.abort();
+        const controller = this.rangeController = new AbortController();
+        let results;
+        try {
+            results = await this.store.getSearchRange(start, end - start, {
+                signal: controller.signal,
+                timeout: this.rangeTimeout
+            });
+        } catch (error) {
+            if (generation !== this.renderGeneration || error.name === 'AbortError') return false;
+            throw error;
+        }
         if (generation !== this.renderGeneration) return false;
 
         this.renderStart = start;
@@ -88,36 +104,61 @@ class SearchResultsRenderer {
         senderAndTime.appendChild(time);
         const date = document.createElement('div');
         date.className = 'text-xs text-gray-400';
-        date.textContent = this.formatDate(result.date);
+        date.textContent = this.formatDate(result);
         header.appendChild(senderAndTime);
         header.appendChild(date);
 
         const content = document.createElement('div');
         content.className = 'text-sm text-gray-800 leading-relaxed whitespace-pre-wrap break-words';
-        this.appendHighlightedText(content, result.content, this.query);
+        this.appendHighlightedText(content, result.content, this.terms, result.matches);
         item.appendChild(header);
         item.appendChild(content);
         return item;
     }
 
-    appendHighlightedText(container, content, query) {
+    // 문구가 나오는 곳을 모두 mark로 감싼다 (겹치면 먼저 나온 것, 같은 위치면 긴 것).
+    // 정규식 검색은 Worker가 구한 [위치, 길이] 목록(ranges)을 그대로 쓴다.
+    appendHighlightedText(container, content, terms, ranges = null) {
         const text = String(content);
         const normalizedText = text.toLocaleLowerCase();
-        const normalizedQuery = query.toLocaleLowerCase();
+        const normalizedTerms = terms.map(term => term.toLocaleLowerCase()).filter(Boolean);
+        const nextRange = ranges ? this.rangeFinder(ranges) : null;
         let start = 0;
-        let match;
 
-        while ((match = normalizedText.indexOf(normalizedQuery, start)) !== -1) {
+        while (true) {
+            let match = -1;
+            let length = 0;
+            if (nextRange) {
+                [match, length] = nextRange(start) ?? [-1, 0];
+            }
+            for (const term of normalizedTerms) {
+                const position = normalizedText.indexOf(term, start);
+                if (position === -1) continue;
+                if (match === -1 || position < match || (position === match && term.length > length)) {
+                    match = position;
+                    length = term.length;
+                }
+            }
+            if (match === -1) break;
             container.appendChild(document.createTextNode(text.slice(start, match)));
             const mark = document.createElement('mark');
             mark.className = 'bg-yellow-300';
-            mark.textContent = text.slice(match, match + query.length);
+            mark.textContent = text.slice(match, match + length);
             container.appendChild(mark);
-            start = match + query.length;
+            start = match + length;
         }
         container.appendChild(document.createTextNode(text.slice(start)));
     }
 
+    // start 이후 처음 시작하는 [위치, 길이] (ranges는 위치 순)
+    rangeFinder(ranges) {
+        let next = 0;
+        return start => {
+            while (next < ranges.length && ranges[next][0] < start) next++;
+            return next < ranges.length ? ranges[next] : null;
+        };
+    }
+
     createSpacer(height) {
         const spacer = document.createElement('div');
         spacer.className = 'virtual-spacer';
@@ -150,6 +191,8 @@ class SearchResultsRenderer {
 
     clear(message = '검색어를 입력해주세요') {
         this.renderGeneration++;
+        this.rangeController?.abort();
+        this.rangeController = null;
         this.total = 0;
         this.renderedItems = [];
         const empty = document.createElement('div');
@@ -43,6 +43,7 @@ const scrollContainer = createElement();
 scrollContainer.clientHeight = 800;
 scrollContainer.scrollTop = 0;
 const sandbox = {
+    AbortController,
     document: {
         createElement,
         createTextNode: text => ({ textContent: text }),
@@ -68,13 +69,23 @@ const store = {
 };
 
 const renderer = new sandbox.SearchResultsRenderer('search-results', 'search-scroll-container', () => {});
-await renderer.render(1200, '공통검색어', store, value => value);
+await renderer.render(1200, '공통검색어', store, result => result.date);
 assert.deepEqual(calls[0], { start: 0, count: 200 });
 assert.equal(renderer.renderEnd - renderer.renderStart, 200, '검색 결과 DOM은 200개를 넘으면 안 된다.');
 assert.equal(renderer.renderedItems.length, 200);
 assert.equal(renderer.renderedItems[0].textContent.includes('<img src=x>'), true, '사용자 HTML은 텍스트로 표시해야 한다.');
 assert.equal(renderer.renderedItems[0].children.some(child => child.tagName === 'IMG'), false);
 
+const highlighted = createElement();
+renderer.appendHighlightedText(highlighted, '회의 말고 미팅, 회의실 예약', ['회의', '미팅', '회의실']);
+assert.deepEqual(highlighted.children.map(mark => mark.textContent), ['회의', '미팅', '회의실'],
+    '여러 문구를 모두 강조하고 같은 위치에서는 긴 문구를 써야 한다.');
+assert.equal(highlighted.textContent, '회의 말고 미팅, 회의실 예약');
+const times = createElement();
+renderer.appendHighlightedText(times, '12:30에 보고 18:00 전에 끝', ['보고'], [[0, 5], [10, 5]]);
+assert.deepEqual(times.children.map(mark => mark.textContent), ['12:30', '보고', '18:00'],
+    '정규식 검색은 Worker가 구한 위치를 그대로 강조해야 한다.');
+
 let resolveOld;
 let resolveLatest;
 renderer.store = {